@@ -1,5 +1,18 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { authenticate } = require('../utils/authProvider');
+const { scopesAllowRoute } = require('../utils/apiKeys');
+const Impersonation = require('../models/Impersonation');
+
+const IMPERSONATION_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const IMPERSONATION_MAX_LOGGED_REQUESTS = 500;
+
+// Append a request to the impersonation audit trail (fire-and-forget)
+const recordImpersonatedRequest = (impersonation, req, status) => {
+  const entry = { method: req.method, path: req.originalUrl, status, at: new Date() };
+  Impersonation.updateOne(
+    { _id: impersonation.id },
+    { $push: { requests: { $each: [entry], $slice: -IMPERSONATION_MAX_LOGGED_REQUESTS } } }
+  ).catch(err => console.error('Error recording impersonated request:', err));
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -7,140 +20,67 @@ const auth = async (req, res, next) => {
     console.log('🔐 Auth middleware - Authorization header:', authHeader ? 'Present' : 'Missing');
 
     const token = authHeader?.replace('Bearer ', '');
+    const apiKey = req.header('X-API-Key');
 
-    if (!token) {
-      console.log('❌ Auth middleware - No token provided');
-      return res.status(401).json({ message: 'No token, authorization denied' });
-    }
-
-    console.log('🔐 Auth middleware - Token preview:', token.substring(0, 20) + '...');
+    const result = await authenticate({ token, apiKey, ip: req.ip });
 
-    // Handle test tokens for development
-    if (token.startsWith('test-token-')) {
-      console.log('🧪 Auth middleware - Processing test token');
-      
-      // Extract email from token (format: test-token-{email} or test-token-{email}@test.com)
-      let email = token.replace('test-token-', '');
-      
-      // If the token already contains an @, use it as is, otherwise add @test.com
-      if (!email.includes('@')) {
-        // If it's a simple ID (like user-001), convert to email
-        if (email.includes('-')) {
-          const [userType, id] = email.split('-');
-          email = `${userType}@test.com`;
-        } else {
-          email += '@test.com';
-        }
-      }
-      
-      console.log(`🧪 Extracted email from token: ${email}`);
-      
-      try {
-        // Find user in database by email
-        const user = await User.findOne({ email });
-        
-        if (!user) {
-          console.log(`❌ Auth middleware - No user found with email: ${email}`);
-          return res.status(401).json({ message: 'Invalid test token - user not found' });
-        }
-        
-        req.user = {
-          id: user._id.toString(),
-          _id: user._id,
-          userId: user._id.toString(),
-          email: user.email,
-          name: user.name || 'Test User',
-          phone: user.phone || '',
-          isAdmin: user.isAdmin || false,
-          role: user.role || (user.isAdmin ? 'admin' : 'user')
-        };
-
-        console.log(`✅ Auth middleware - Test user authenticated:`, {
-          email: req.user.email,
-          id: req.user.id,
-          _id: req.user._id,
-          userId: req.user.userId,
-          isAdmin: req.user.isAdmin,
-          role: req.user.role,
-          dbUserId: user._id.toString()
-        });
-        return next();
-        
-      } catch (error) {
-        console.error('Error authenticating test user:', error);
-        return res.status(500).json({ message: 'Error authenticating test user' });
+    // API keys only reach the routes listed under their scopes
+    if (result.apiKey) {
+      const path = req.originalUrl.split('?')[0];
+      if (!scopesAllowRoute(result.apiKey.scopes, req.method, path)) {
+        console.log('❌ Auth middleware - API key scope denied:', result.apiKey.name, req.method, path);
+        return res.status(403).json({ message: 'API key scope does not allow this route' });
       }
     }
 
-    // Handle real JWT tokens
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    console.log('✅ Auth middleware - Token decoded successfully, user ID:', decoded.userId);
-
-    // Optional global invalidation: force-logout tokens issued before a cutoff
-    // Set TOKEN_INVALID_BEFORE to a date/time (ISO string) or epoch seconds/ms.
-    if (process.env.TOKEN_INVALID_BEFORE) {
-      let cutoff = Number(process.env.TOKEN_INVALID_BEFORE);
-      if (Number.isNaN(cutoff)) {
-        const parsed = Date.parse(process.env.TOKEN_INVALID_BEFORE);
-        cutoff = Number.isNaN(parsed) ? 0 : Math.floor(parsed / 1000); // seconds
-      } else {
-        // If provided in ms, convert to seconds
-        if (cutoff > 1e12) cutoff = Math.floor(cutoff / 1000);
-      }
-      const issuedAt = decoded.iat; // seconds since epoch
-      if (cutoff && issuedAt && issuedAt < cutoff) {
-        console.warn('🔒 Token invalidated by TOKEN_INVALID_BEFORE cutoff. iat:', issuedAt, 'cutoff:', cutoff);
-        return res.status(401).json({ message: 'Token invalidated' });
+    // Impersonation is read-only, and every request is kept in its audit trail
+    if (result.impersonation) {
+      const readOnly = IMPERSONATION_SAFE_METHODS.includes(req.method);
+      recordImpersonatedRequest(result.impersonation, req, readOnly ? null : 403);
+      if (!readOnly) {
+        console.log('❌ Auth middleware - write blocked during impersonation:', req.method, req.originalUrl);
+        return res.status(403).json({ message: 'Write operations are disabled while impersonating a user' });
       }
     }
 
-    const user = await User.findById(decoded.userId).select('-password');
-
-    if (!user) {
-      console.log('❌ Auth middleware - User not found in database');
-      return res.status(401).json({ message: 'Token is not valid' });
-    }
-
-    // Set role field for consistency with Catalog model expectations
-    req.user = {
-      ...user.toObject(),
-      id: user._id.toString(), // Ensure id field is available
-      role: user.isAdmin ? 'admin' : 'user'
-    };
+    req.user = result.user;
+    req.sessionId = result.sessionId;
+    req.apiKey = result.apiKey;
+    req.impersonation = result.impersonation;
+    req.authStrategy = result.strategy;
 
     console.log('Auth middleware - user details:', {
       id: req.user.id,
       email: req.user.email,
       isAdmin: req.user.isAdmin,
-      role: req.user.role
+      role: req.user.role,
+      strategy: req.authStrategy
     });
     next();
   } catch (error) {
-    // Return a clearer message for expired tokens so clients can handle re-auth
-    if (error && error.name === 'TokenExpiredError') {
-      const expiredAt = error.expiredAt ? new Date(error.expiredAt).toISOString() : 'unknown';
-      const ua = req.get('User-Agent');
-      const path = `${req.method} ${req.originalUrl}`;
-      console.warn('🔔 TokenExpiredError in auth middleware.', { expiredAt, path, userAgent: ua });
-      return res.status(401).json({ message: 'Token expired' });
+    if (error && error.status) {
+      if (error.message === 'Token expired') {
+        const ua = req.get('User-Agent');
+        const path = `${req.method} ${req.originalUrl}`;
+        console.warn('🔔 Token expired in auth middleware.', { path, userAgent: ua });
+      } else {
+        console.log('❌ Auth middleware -', error.message);
+      }
+      return res.status(error.status).json({ message: error.message });
     }
     console.error('Authentication error:', error);
     res.status(401).json({ message: 'Token is not valid' });
   }
 };
 
-const adminAuth = async (req, res, next) => {
-  try {
-    await auth(req, res, () => {});
-    
+const adminAuth = (req, res, next) => {
+  auth(req, res, () => {
     if (!req.user.isAdmin) {
       return res.status(403).json({ message: 'Access denied. Admin only.' });
     }
-    
+
     next();
-  } catch (error) {
-    res.status(401).json({ message: 'Authentication failed' });
-  }
+  });
 };
 
-module.exports = { auth, adminAuth }; 
\ No newline at end of file
+module.exports = { auth, adminAuth };
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a key is remembered (IDEMPOTENCY_KEY_TTL_HOURS, default 24 hours)
+const IDEMPOTENCY_KEY_TTL_MS = (Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+const MAX_KEY_LENGTH = 255;
+
+const stillProcessing = { message: 'A request with this Idempotency-Key is still being processed' };
+
+// JSON with sorted object keys, so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(stableStringify({ method: req.method, path: req.baseUrl + req.path, body: req.body || {} }))
+  .digest('hex');
+
+// Middleware factory: make a create endpoint safe to retry. Must run after auth.
+//
+// A request with an Idempotency-Key header is run once; retries with the same
+// key and body get the stored response (with `Idempotent-Replayed: true`)
+// instead of running again. The same key with a different request gets 422, and
+// a retry while the first request is still running gets 409. Only successful
+// (2xx) responses are stored: after an error the client may retry with the same key.
+// A request that reached the handler keeps its key until it responds (or the key
+// expires), even if the client disconnects, so it is never run twice.
+// Requests without the header are not affected.
+const idempotency = ({ ttlMs = IDEMPOTENCY_KEY_TTL_MS } = {}) => async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (key === undefined) return next();
+
+  try {
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ message: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const userId = String(req.user.id);
+    const requestHash = hashRequest(req);
+    const now = new Date();
+
+    const fields = () => ({
+      method: req.method,
+      path: req.baseUrl + req.path,
+      requestHash,
+      state: 'processing',
+      responseStatus: null,
+      responseBody: null,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + ttlMs)
+    });
+    const claim = () => IdempotencyKey.create({ userId, key, ...fields() }).catch(err => {
+      if (err.code === 11000) return null;
+      throw err;
+    });
+
+    let record = await claim();
+    if (!record) {
+      const existing = await IdempotencyKey.findOne({ userId, key });
+      const stale = existing && existing.expiresAt <= now;
+
+      if (existing && existing.expiresAt > now && existing.requestHash !== requestHash) {
+        return res.status(422).json({ message: 'This Idempotency-Key was already used with a different request' });
+      }
+      if (existing && !stale) {
+        if (existing.state === 'processing') {
+          res.set('Retry-After', '1');
+          return res.status(409).json(stillProcessing);
+        }
+        console.log(`Idempotent replay of ${req.method} ${req.originalUrl} for user ${userId}`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // Expired or released in the meantime: take the key over,
+      // unless a concurrent retry just did
+      record = existing
+        ? await IdempotencyKey.findOneAndUpdate(
+          { _id: existing._id, createdAt: existing.createdAt },
+          { $set: fields() },
+          { new: true }
+        )
+        : await claim();
+      if (!record) {
+        res.set('Retry-After', '1');
+        return res.status(409).json(stillProcessing);
+      }
+    }
+
+    // createdAt identifies this claim: if a retry took over an expired key, this
+    // request must not complete or release the new owner's record
+    const claimed = { _id: record._id, createdAt: record.createdAt, state: 'processing' };
+    let settled = false;
+    const settle = (status, body) => {
+      settled = true;
+      return (status >= 200 && status < 300
+        ? IdempotencyKey.updateOne(
+          claimed,
+          { $set: { state: 'completed', responseStatus: status, responseBody: body === undefined ? null : JSON.parse(JSON.stringify(body)) } }
+        )
+        : IdempotencyKey.deleteOne(claimed)
+      ).catch(err => console.error('Error saving idempotency key:', err));
+    };
+
+    // Store the response before sending it, so the outcome is kept even if the
+    // client is gone and a retry that follows the response replays it
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (settled) return json(body);
+      settle(res.statusCode, body).then(() => json(body));
+      return res;
+    };
+
+    // Responses not sent through res.json. A client that disconnects before the
+    // handler responds leaves the claim in place: the handler is still running
+    const settleSent = () => {
+      if (!settled && res.headersSent) settle(res.statusCode, null);
+    };
+    res.on('finish', settleSent);
+    res.on('close', settleSent);
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = { idempotency };
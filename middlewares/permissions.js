@@ -0,0 +1,82 @@
+const Role = require('../models/Role');
+
+// Every permission a role can be granted
+const PERMISSIONS = {
+  'orders:read': 'See all orders',
+  'orders:read-confirmed': 'See confirmed and in-production orders only (workshop)',
+  'orders:update-status': 'Change order status and cancel orders',
+  'orders:edit': 'Change the items of orders not yet in production',
+  'orders:delete': 'Delete orders',
+  'catalogs:read-all': 'See every catalog, including private ones',
+  'catalogs:create': 'Create catalogs',
+  'catalogs:edit': 'Edit catalogs and their products',
+  'catalogs:delete': 'Delete catalogs',
+  'catalogs:manage-access': 'Change who can see a catalog',
+  'pricing:manage': 'Maintain metal rates used to price jewelry by weight',
+  'inventory:manage': 'Adjust stock levels and see stock movements',
+  'users:read': 'List users',
+  'users:manage': 'Create and update users, manage their sessions',
+  'users:delete': 'Delete users',
+  'users:impersonate': 'View the app as a customer (read-only)',
+  'roles:manage': 'Define roles and assign them to users',
+  'api-keys:manage': 'Create, rotate and revoke API keys for integrations',
+  'notifications:send': 'Send notifications to users',
+  'admin:dashboard': 'See dashboard statistics',
+  'audit:read': 'See the audit log of administrative actions'
+};
+
+// Built-in roles are not stored in the database and can't be edited
+const BUILT_IN_ROLES = {
+  admin: { label: 'Administrator', permissions: ['*'] },
+  user: { label: 'Customer', permissions: [] }
+};
+
+// Custom role permissions are cached briefly to avoid a query per request
+const ROLE_CACHE_TTL_MS = 30 * 1000;
+const roleCache = new Map();
+
+const clearRoleCache = () => roleCache.clear();
+
+// Resolve the permissions of a req.user (admins get '*')
+const getUserPermissions = async (user) => {
+  if (!user) return [];
+  if (user.isAdmin) return BUILT_IN_ROLES.admin.permissions;
+
+  const roleName = user.role || 'user';
+  if (BUILT_IN_ROLES[roleName]) return BUILT_IN_ROLES[roleName].permissions;
+
+  const cached = roleCache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+  const role = await Role.findOne({ name: roleName }).lean();
+  const permissions = role ? role.permissions : [];
+  roleCache.set(roleName, { permissions, expiresAt: Date.now() + ROLE_CACHE_TTL_MS });
+  return permissions;
+};
+
+// Check a permission on a req.user whose permissions were resolved by auth
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+  if (user.isAdmin) return true;
+  const permissions = user.permissions || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+// Middleware: allow the request if the user has at least one of the permissions.
+// Must run after auth.
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (permissions.some(permission => hasPermission(req.user, permission))) {
+    return next();
+  }
+  console.log('Permission denied for user:', req.user?.email, 'required one of:', permissions);
+  return res.status(403).json({ message: 'Permission denied', requiredPermissions: permissions });
+};
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  getUserPermissions,
+  hasPermission,
+  requirePermission,
+  clearRoleCache
+};
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Credentials for server-to-server integrations (ERP, website...).
+// The key itself ("ak_<secret>") is shown once on creation/rotation; only its
+// sha256 hash is stored. Requests made with a key act on behalf of `ownerId`,
+// limited to the key's scopes (see utils/apiKeys.js).
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, to recognize it in listings
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  scopes: {
+    type: [String],
+    default: []
+  },
+  // Exact addresses or CIDR ranges; empty = any address
+  allowedIps: {
+    type: [String],
+    default: []
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: ''
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Method to check whether the key can still be used
+apiKeySchema.methods.isActive = function() {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+};
+
+// Method to get the public view of a key (never includes the hash)
+apiKeySchema.methods.toPublic = function() {
+  let status = 'active';
+  if (this.revokedAt) status = 'revoked';
+  else if (this.expiresAt && this.expiresAt <= new Date()) status = 'expired';
+
+  return {
+    id: this._id.toString(),
+    name: this.name,
+    keyPrefix: this.keyPrefix,
+    ownerId: this.ownerId && this.ownerId._id ? this.ownerId._id.toString() : String(this.ownerId),
+    owner: this.ownerId && this.ownerId.email
+      ? { name: this.ownerId.name, email: this.ownerId.email }
+      : undefined,
+    scopes: this.scopes,
+    allowedIps: this.allowedIps,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    rotatedAt: this.rotatedAt,
+    revokedAt: this.revokedAt,
+    status,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Who did what to which document. Written by utils/audit.js from the
+// administrative routes; never updated afterwards.
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  actorEmail: {
+    type: String,
+    default: ''
+  },
+  // Set when the action was made through an API key or while impersonating
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // e.g. 'catalog.permissions.update', 'order.delete', 'user.status.update'
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // e.g. 'catalog', 'order', 'user', 'product', 'clasp-image', 'size-preset'
+  targetType: {
+    type: String,
+    required: true
+  },
+  targetId: {
+    type: String,
+    default: ''
+  },
+  // Human readable name of the target at the time of the action
+  targetLabel: {
+    type: String,
+    default: ''
+  },
+  // { field: { from, to } } for the fields that changed
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
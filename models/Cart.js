@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// A line of a cart, in the same shape as an order item sent to POST /api/orders
+const cartItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  size: {
+    type: String,
+    trim: true
+  },
+  height: {
+    type: String,
+    trim: true
+  },
+  clasp: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Order being built by a user in a catalog, kept on the server so it survives
+// the app being killed and follows the user across devices. Prices are not
+// stored: they are computed at checkout like any new order.
+const cartSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.Mixed, // Allow both ObjectId and String for test users
+    required: true
+  },
+  catalogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Catalog',
+    required: true
+  },
+  items: {
+    type: [cartItemSchema],
+    default: []
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Set while a checkout runs so the cart can't be ordered twice; a stale
+  // lock (crashed checkout) expires on its own
+  checkoutLockedUntil: {
+    type: Date,
+    default: null
+  },
+  // _id the checkout's order is created with, set before creating it: a
+  // checkout finding the order already exists must not order the cart again
+  checkoutOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+cartSchema.index({ userId: 1, catalogId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A request sent with an Idempotency-Key header and the response it got,
+// replayed when the client retries (see middlewares/idempotency.js)
+const idempotencyKeySchema = new mongoose.Schema({
+  // Keys are scoped to the user who sent them
+  userId: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of method, path and body: the same key with another request is refused
+  requestHash: {
+    type: String,
+    required: true
+  },
+  // 'processing' while the first request runs
+  state: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
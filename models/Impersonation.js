@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Audit trail of admins viewing the app as a customer ("view as customer").
+// One document per impersonation token; the token stops working once the
+// document is ended or expired.
+const impersonationSchema = new mongoose.Schema({
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  // Requests made with the token (most recent last, capped)
+  requests: [{
+    method: String,
+    path: String,
+    status: Number,
+    at: { type: Date, default: Date.now }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Method to check whether the impersonation token can still be used
+impersonationSchema.methods.isActive = function() {
+  return !this.endedAt && this.expiresAt > new Date();
+};
+
+// Method to get the public view of an impersonation
+impersonationSchema.methods.toPublic = function() {
+  const person = (ref) => (ref && ref.email
+    ? { id: ref._id.toString(), name: ref.name, email: ref.email }
+    : { id: ref ? ref.toString() : null });
+
+  return {
+    id: this._id.toString(),
+    admin: person(this.adminId),
+    targetUser: person(this.targetUserId),
+    reason: this.reason,
+    ip: this.ip,
+    userAgent: this.userAgent,
+    createdAt: this.createdAt,
+    expiresAt: this.expiresAt,
+    endedAt: this.endedAt,
+    active: this.isActive(),
+    requests: this.requests
+  };
+};
+
+module.exports = mongoose.model('Impersonation', impersonationSchema);
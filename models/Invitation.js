@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Role the invited user gets when they register
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Catalogs the new user is added to (allowedUserIds) on registration
+  catalogIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Catalog'
+  }],
+  // Hash of the currently valid signed token; rotated on resend
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  },
+  sendCount: {
+    type: Number,
+    default: 1
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Pre-save middleware to update timestamps
+invitationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Method to check if the invitation can still be accepted
+invitationSchema.methods.isUsable = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+// Method to get the public view (pending invitations past expiry show as expired)
+invitationSchema.methods.toPublic = function() {
+  const expired = this.status === 'pending' && this.expiresAt <= new Date();
+  return {
+    id: this._id.toString(),
+    email: this.email,
+    name: this.name,
+    role: this.role,
+    catalogIds: (this.catalogIds || []).map(id => id.toString()),
+    invitedBy: this.invitedBy,
+    status: expired ? 'expired' : this.status,
+    expiresAt: this.expiresAt,
+    acceptedBy: this.acceptedBy,
+    acceptedAt: this.acceptedAt,
+    lastSentAt: this.lastSentAt,
+    sendCount: this.sendCount,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
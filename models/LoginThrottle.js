@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Failed login bookkeeping, one document per email and one per client IP
+const loginThrottleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['email', 'ip'],
+    required: true
+  },
+  // The email address or IP this record tracks
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Set for email records that match an existing account
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+  // Exponential backoff: no attempt is evaluated before this time
+  nextAllowedAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loginThrottleSchema.index({ type: 1, key: 1 }, { unique: true });
+// Forget idle records after a day
+loginThrottleSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Method to check if the record is currently locked
+loginThrottleSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
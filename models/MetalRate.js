@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const METALS = ['gold', 'silver', 'platinum', 'palladium'];
+
+// Price per gram of a metal/karat from `effectiveFrom` on. Rates are never
+// edited: a new document is added when the market moves, so orders keep
+// pointing at the rate they were priced with.
+const metalRateSchema = new mongoose.Schema({
+  metal: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    enum: METALS
+  },
+  // e.g. 18, 21, 24 for gold; null when the metal has no karat (silver...)
+  karat: {
+    type: Number,
+    min: 1,
+    max: 24,
+    default: null
+  },
+  pricePerGram: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+metalRateSchema.index({ metal: 1, karat: 1, effectiveFrom: -1 });
+
+// Static method to find the rate applying to a metal/karat at a given time
+metalRateSchema.statics.findEffective = function(metal, karat = null, at = new Date()) {
+  return this.findOne({ metal, karat: karat || null, effectiveFrom: { $lte: at } })
+    .sort({ effectiveFrom: -1, createdAt: -1 });
+};
+
+const MetalRate = mongoose.model('MetalRate', metalRateSchema);
+
+MetalRate.METALS = METALS;
+
+module.exports = MetalRate;
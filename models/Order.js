@@ -36,10 +36,124 @@ const orderItemSchema = new mongoose.Schema({
   height: {
     type: String,
     trim: true
+  },
+  // Product variant ordered, and its SKU at order time
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: {
+    type: String,
+    trim: true
+  },
+  // Quantity of stock held for this item since the order was confirmed
+  reservedQuantity: {
+    type: Number,
+    default: 0
+  },
+  // How `price` was computed, frozen at order time (see utils/pricing.js)
+  pricing: {
+    method: { type: String, enum: ['fixed', 'weight'], default: 'fixed' },
+    metal: { type: String, default: null },
+    karat: { type: Number, default: null },
+    rateId: { type: mongoose.Schema.Types.ObjectId, ref: 'MetalRate', default: null },
+    ratePerGram: { type: Number, default: null },
+    makingChargeType: { type: String, default: 'none' },
+    makingCharge: { type: Number, default: 0 },
+    metalValue: { type: Number, default: 0 },
+    makingValue: { type: Number, default: 0 },
+    priceAdjustment: { type: Number, default: 0 }
   }
 });
 
+// Order lifecycle: pending -> confirmed -> in_production -> shipped -> delivered.
+// Orders can be cancelled until they are shipped; delivered and cancelled are final.
+const ORDER_STATUSES = ['pending', 'confirmed', 'in_production', 'shipped', 'delivered', 'cancelled'];
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['in_production', 'cancelled'],
+  in_production: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+// Customers may only cancel their own orders before production starts
+const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'confirmed'];
+// Items can be changed by staff until production starts
+const ORDER_EDITABLE_STATUSES = ['pending', 'confirmed'];
+
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Kept so the history stays readable after the account is deleted
+  changedByName: {
+    type: String,
+    default: ''
+  },
+  comment: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Item changes made by staff after the order was placed (PATCH /api/orders/:id)
+const revisionSchema = new mongoose.Schema({
+  // { action: 'add'|'remove'|'update', itemId, name, changes: { field: { from, to } } }
+  changes: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  totalBefore: {
+    type: Number,
+    required: true
+  },
+  totalAfter: {
+    type: Number,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changedByName: {
+    type: String,
+    default: ''
+  },
+  comment: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
+  // e.g. ASW-2026-000123 (see utils/orderNumbers.js); missing on legacy orders
+  orderNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   userId: {
     // Mixed allows both ObjectId (real users) and string (test tokens)
     type: mongoose.Schema.Types.Mixed,
@@ -54,9 +168,17 @@ const orderSchema = new mongoose.Schema({
   items: [orderItemSchema],
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'],
+    enum: ORDER_STATUSES,
     default: 'pending'
   },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
+  },
+  revisions: {
+    type: [revisionSchema],
+    default: []
+  },
   totalAmount: {
     type: Number,
     required: true,
@@ -66,6 +188,12 @@ const orderSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Set when the customer deleted their account; the order is kept for
+  // accounting but userId no longer resolves and free text was cleared
+  customerDeletedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -82,6 +210,69 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
+// Method to check whether the order may move to `status`
+orderSchema.methods.canTransitionTo = function(status) {
+  return (ORDER_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to change the status and record it in statusHistory.
+// Callers check canTransitionTo first; `actor` is a req.user (or null for the system).
+orderSchema.methods.transitionTo = function(status, { actor = null, comment = '' } = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Illegal order status transition: ${this.status} -> ${status}`);
+  }
+  this.recordStatus(status, { actor, comment });
+};
+
+// Method to change the status in the database, only if nobody changed it since
+// this order was loaded. Resolves to the updated order, or null when it lost the race.
+// Use it before side effects (stock) so concurrent requests can't both apply them.
+orderSchema.methods.claimTransition = function(status, options = {}) {
+  const from = this.status;
+  this.transitionTo(status, options);
+  const entry = this.statusHistory[this.statusHistory.length - 1];
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: from },
+    { $set: { status, updatedAt: new Date() }, $push: { statusHistory: entry.toObject() } },
+    { new: true }
+  );
+};
+
+// Method to undo a claimTransition whose side effects failed
+orderSchema.methods.revertTransition = function() {
+  const entry = this.statusHistory[this.statusHistory.length - 1];
+  return this.constructor.updateOne(
+    { _id: this._id, status: entry.to },
+    { $set: { status: entry.from }, $pull: { statusHistory: { to: entry.to, at: entry.at } } }
+  );
+};
+
+// Method to set the status without checking transitions (initial status, migrations)
+orderSchema.methods.recordStatus = function(status, { actor = null, comment = '' } = {}) {
+  this.statusHistory.push({
+    from: this.isNew && this.statusHistory.length === 0 ? null : this.status,
+    to: status,
+    changedBy: actor && mongoose.Types.ObjectId.isValid(actor.id) ? actor.id : null,
+    changedByName: actor ? (actor.name || actor.email || '') : '',
+    comment: comment ? String(comment).slice(0, 1000) : '',
+    at: new Date()
+  });
+  this.status = status;
+};
+
+// Method to record an item revision; `totalBefore` is the total before the change
+orderSchema.methods.recordRevision = function(changes, { actor = null, comment = '', totalBefore }) {
+  this.revisions.push({
+    changes,
+    totalBefore,
+    totalAfter: this.totalAmount,
+    changedBy: actor && mongoose.Types.ObjectId.isValid(actor.id) ? actor.id : null,
+    changedByName: actor ? (actor.name || actor.email || '') : '',
+    comment: comment ? String(comment).slice(0, 1000) : '',
+    at: new Date()
+  });
+};
+
 // Method to calculate total amount from items
 orderSchema.methods.calculateTotal = function() {
   return this.items.reduce((total, item) => {
@@ -93,6 +284,7 @@ orderSchema.methods.calculateTotal = function() {
 orderSchema.methods.getSummary = function() {
   return {
     orderId: this._id,
+    orderNumber: this.orderNumber,
     totalItems: this.items.reduce((sum, item) => sum + item.quantity, 0),
     totalAmount: this.totalAmount,
     status: this.status,
@@ -119,14 +311,18 @@ orderSchema.statics.findByUser = function(userId, options = {}) {
     .populate('items.productId', 'name imageUrl size serialNumber weight showWeight type');
 };
 
-// Static method for admin to find all orders with filtering
-orderSchema.statics.findWithFilters = function(filters = {}, options = {}) {
+// Static method to query all orders matching admin filters (unsorted, unpaginated)
+orderSchema.statics.queryWithFilters = function(filters = {}) {
   const query = this.find({});
 
   if (filters.status) {
     query.where('status').equals(filters.status);
   }
 
+  if (filters.orderNumber) {
+    query.where('orderNumber').equals(filters.orderNumber);
+  }
+
   if (filters.userId) {
     query.where('userId').equals(filters.userId);
   }
@@ -143,6 +339,13 @@ orderSchema.statics.findWithFilters = function(filters = {}, options = {}) {
     query.where('createdAt').lte(filters.dateTo);
   }
 
+  return query;
+};
+
+// Static method for admin to find all orders with filtering
+orderSchema.statics.findWithFilters = function(filters = {}, options = {}) {
+  const query = this.queryWithFilters(filters);
+
   const page = options.page || 1;
   const limit = options.limit || 20;
   const skip = (page - 1) * limit;
@@ -164,4 +367,11 @@ orderSchema.statics.findWithFilters = function(filters = {}, options = {}) {
   return populatedQuery;
 };
 
-module.exports = mongoose.model('Order', orderSchema);
+const Order = mongoose.model('Order', orderSchema);
+
+Order.ORDER_STATUSES = ORDER_STATUSES;
+Order.ORDER_STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
+Order.CUSTOMER_CANCELLABLE_STATUSES = CUSTOMER_CANCELLABLE_STATUSES;
+Order.ORDER_EDITABLE_STATUSES = ORDER_EDITABLE_STATUSES;
+
+module.exports = Order;
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// A message in the conversation about an order, between the customer and staff.
+// Internal notes are written by staff for staff and never shown to the customer.
+const orderMessageSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  senderId: {
+    // Mixed allows both ObjectId (real users) and string (test tokens)
+    type: mongoose.Schema.Types.Mixed,
+    ref: 'User',
+    required: true
+  },
+  // Kept so the conversation stays readable after the account is deleted
+  senderName: {
+    type: String,
+    default: ''
+  },
+  senderRole: {
+    type: String,
+    enum: ['customer', 'staff'],
+    required: true
+  },
+  text: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Image URLs returned by POST /api/upload/image
+  attachments: [{
+    type: String,
+    trim: true
+  }],
+  internal: {
+    type: Boolean,
+    default: false
+  },
+  // Read receipts; the sender counts as having read their own message
+  readBy: [{
+    _id: false,
+    userId: {
+      type: String,
+      required: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+orderMessageSchema.index({ orderId: 1, createdAt: 1 });
+
+// Method to get the message as returned by the API; internal notes and other
+// readers' identities are only shown to staff
+orderMessageSchema.methods.toPublic = function({ staff = false } = {}) {
+  return {
+    id: this._id.toString(),
+    orderId: this.orderId.toString(),
+    sender: {
+      id: this.senderId ? String(this.senderId) : null,
+      name: this.senderName,
+      role: this.senderRole
+    },
+    text: this.text,
+    attachments: this.attachments,
+    internal: this.internal,
+    readBy: staff
+      ? this.readBy
+      : this.readBy.filter(receipt => receipt.userId !== String(this.senderId)).map(receipt => ({ at: receipt.at })),
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('OrderMessage', orderMessageSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Admin overrides of the message a customer receives when their order moves to
+// `status`. Statuses without a document use the defaults in utils/orderNotifications.js.
+const orderStatusTemplateSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Disabled templates send nothing for that status
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Also send an Expo push notification (not only in-app)
+  push: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('OrderStatusTemplate', orderStatusTemplateSchema);
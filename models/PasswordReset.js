@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One-time password reset code. Only a bcrypt hash of the code is stored.
+const passwordResetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  requestIp: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Remove reset codes once they expire
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Requests per IP are counted within the code lifetime
+passwordResetSchema.index({ requestIp: 1, createdAt: 1 });
+
+// Static method to find the latest usable code for a user
+passwordResetSchema.statics.findActiveForUser = function(userId) {
+  return this.findOne({
+    userId,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('PasswordReset', passwordResetSchema);
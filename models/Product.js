@@ -1,5 +1,54 @@
 const mongoose = require('mongoose');
 
+// One orderable combination of size x height x clasp (null = not applicable).
+// `weight` overrides the product weight; `priceAdjustment` is added to the unit price.
+const variantSchema = new mongoose.Schema({
+  size: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  height: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  clasp: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Appended to the product serial number: <serialNumber>-<skuSuffix>
+  skuSuffix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    required: true
+  },
+  weight: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  priceAdjustment: {
+    type: Number,
+    default: 0
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+  // Stock of this variant when the product tracks stock (see below)
+  stock: {
+    type: Number,
+    default: 0
+  },
+  reservedStock: {
+    type: Number,
+    default: 0
+  }
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -40,6 +89,31 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Weight-based pricing: when `metal` is set and weight > 0, the price is
+  // weight x current MetalRate + making charge (see utils/pricing.js) and
+  // `price` is ignored
+  metal: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  karat: {
+    type: Number,
+    min: 1,
+    max: 24,
+    default: null
+  },
+  makingChargeType: {
+    type: String,
+    enum: ['none', 'per_gram', 'flat'],
+    default: 'none'
+  },
+  makingCharge: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   height: {
     type: Number,
     min: 0,
@@ -67,6 +141,33 @@ const productSchema = new mongoose.Schema({
     trim: true,
     default: null
   },
+  // Inventory (see utils/inventory.js). When trackStock is on, `stock` is the
+  // quantity free to sell and `reservedStock` the quantity held for confirmed
+  // orders; products with variants keep their stock on each variant instead.
+  // Only changed through stock movements, never directly.
+  trackStock: {
+    type: Boolean,
+    default: false
+  },
+  stock: {
+    type: Number,
+    default: 0
+  },
+  reservedStock: {
+    type: Number,
+    default: 0
+  },
+  // Admins are notified when the free stock falls to this level (null = never)
+  lowStockThreshold: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // When set, orders must pick one of the available variants (see utils/variants.js)
+  variants: {
+    type: [variantSchema],
+    default: []
+  },
   relatedProducts: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
@@ -106,4 +207,9 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Method to get the full SKU of a variant
+productSchema.methods.variantSku = function(variant) {
+  return variant && variant.skuSuffix ? `${this.serialNumber}-${variant.skuSuffix}` : this.serialNumber;
+};
+
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
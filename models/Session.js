@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// One document per signed-in device. The refresh token handed to the client is
+// "<sessionId>.<secret>"; only a hash of the current secret is stored, and it is
+// replaced on every refresh (rotation).
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of secrets already rotated out (most recent last, capped): presenting
+  // one of them again means the refresh token leaked
+  previousRefreshTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Let MongoDB purge sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to revoke this session (and every token rotated from it)
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to revoke all active sessions of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'logout', exceptSessionId = null) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+// Method to get the public view of a session
+sessionSchema.methods.toPublic = function(currentSessionId) {
+  return {
+    id: this._id.toString(),
+    deviceName: this.deviceName,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    current: currentSessionId ? this._id.toString() === String(currentSessionId) : false
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// received: goods added to stock; adjusted: manual correction (+/-);
+// reserved: held for a confirmed order; released: reservation returned (cancel);
+// shipped: reserved goods left the workshop
+const MOVEMENT_TYPES = ['received', 'adjusted', 'reserved', 'released', 'shipped'];
+
+// Append-only log of every stock change of a product or variant
+const stockMovementSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: {
+    type: String,
+    default: ''
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: MOVEMENT_TYPES
+  },
+  // Units moved; only `adjusted` movements can be negative
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Levels right after the movement
+  stockAfter: {
+    type: Number,
+    required: true
+  },
+  reservedAfter: {
+    type: Number,
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.Mixed,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+stockMovementSchema.index({ productId: 1, createdAt: -1 });
+stockMovementSchema.index({ orderId: 1 });
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+StockMovement.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+module.exports = StockMovement;
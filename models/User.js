@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { PASSWORD_HISTORY_SIZE } = require('../utils/passwordPolicy');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -13,6 +14,11 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Hashes of previous passwords, most recent first (see setPassword)
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
   name: {
     type: String,
     required: true
@@ -27,9 +33,37 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Self-registered accounts start unverified; accounts created before this
+  // field existed, by an admin or through an invitation count as verified.
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Hash of the pending 6-digit verification code
+  emailVerificationCodeHash: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpiresAt: {
+    type: Date,
+    select: false
+  },
+  emailVerificationAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date
+  },
+  // 'admin' and 'user' are built in; any other value names a custom Role
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    trim: true,
+    lowercase: true,
     default: 'user'
   },
   isActive: {
@@ -44,10 +78,46 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Self-service deletion: the account is purged once deletionScheduledFor passes
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
   expoPushTokens: [{
     type: String,
     trim: true
   }],
+  // TOTP two-factor authentication (secrets are never selected by default)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret generated by /2fa/setup, promoted to twoFactorSecret once verified
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Last accepted TOTP time step, so a code can't be replayed
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  // sha256 hashes of unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -60,15 +130,27 @@ const userSchema = new mongoose.Schema({
 
 // Sync role field with isAdmin field for consistency
 userSchema.pre('save', function(next) {
-  // Set role based on isAdmin field
+  // isAdmin wins; non-admins keep their custom role, but can't hold 'admin'
   if (this.isAdmin) {
     this.role = 'admin';
-  } else {
+  } else if (!this.role || this.role === 'admin') {
     this.role = 'user';
   }
   next();
 });
 
+// A new email address has to be verified again (the caller sends the code)
+userSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('email')) {
+    this.emailVerified = false;
+    this.emailVerifiedAt = undefined;
+    this.emailVerificationCodeHash = undefined;
+    this.emailVerificationExpiresAt = undefined;
+    this.emailVerificationSentAt = undefined;
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -92,4 +174,21 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return candidatePassword === this.password;
 };
 
+// Method to check if the stored password is still a legacy plain-text value
+userSchema.methods.hasLegacyPassword = function() {
+  return Boolean(this.password) && !this.password.startsWith('$2');
+};
+
+// Method to change the password, remembering the previous hash so it can't be reused.
+// The document must be loaded with +passwordHistory.
+userSchema.methods.setPassword = function(newPassword) {
+  if (!this.isNew && !this.isSelected('passwordHistory')) {
+    throw new Error('setPassword requires passwordHistory to be selected');
+  }
+  if (this.password && !this.hasLegacyPassword() && PASSWORD_HISTORY_SIZE > 0) {
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])].slice(0, PASSWORD_HISTORY_SIZE);
+  }
+  this.password = newPassword;
+};
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -1,15 +1,65 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const Catalog = require('../models/Catalog');
 const Notification = require('../models/Notification');
-const { adminAuth } = require('../middlewares/auth');
+const Role = require('../models/Role');
+const ApiKey = require('../models/ApiKey');
+const Impersonation = require('../models/Impersonation');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const OrderStatusTemplate = require('../models/OrderStatusTemplate');
+const MetalRate = require('../models/MetalRate');
+const StockMovement = require('../models/StockMovement');
+const { auth } = require('../middlewares/auth');
+const {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  requirePermission,
+  hasPermission,
+  getUserPermissions,
+  clearRoleCache
+} = require('../middlewares/permissions');
+const {
+  API_KEY_SCOPES,
+  sanitizeScopes,
+  generateApiKey,
+  isValidIpEntry
+} = require('../utils/apiKeys');
+const { signImpersonationToken } = require('../utils/authTokens');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { DEFAULT_TEMPLATES, PLACEHOLDERS, listTemplates } = require('../utils/orderNotifications');
+const { adjustStock, listLowStock } = require('../utils/inventory');
+
+// Lifetime of "view as customer" tokens
+const IMPERSONATION_TTL_MINUTES = Number(process.env.IMPERSONATION_TTL_MINUTES) || 15;
 
 const router = express.Router();
 
-// Get all users (Admin only)
-router.get('/users', adminAuth, async (req, res) => {
+// Check that the current user may manage a key with these scopes, owned by `owner`:
+// nobody hands out (or gets the secret of) access they don't have themselves,
+// and admin-owned keys are for admins only.
+// Returns an error { status, message, missingPermissions? } or null when allowed.
+const checkApiKeyAuthority = (actor, scopes, owner) => {
+  const missing = scopes
+    .flatMap(scope => (API_KEY_SCOPES[scope] ? API_KEY_SCOPES[scope].permissions : []))
+    .filter(permission => !hasPermission(actor, permission));
+  if (missing.length > 0) {
+    return { status: 403, message: 'You cannot manage keys with scopes beyond your own permissions', missingPermissions: missing };
+  }
+  if (owner && owner.isAdmin && !actor.isAdmin) {
+    return { status: 403, message: 'Only admins can manage keys owned by an admin' };
+  }
+  return null;
+};
+
+// Answer with the error of checkApiKeyAuthority
+const sendAuthorityError = (res, { status, ...body }) => res.status(status).json(body);
+
+// Get all users (users:read)
+router.get('/users', auth, requirePermission('users:read'), async (req, res) => {
   try {
     const users = await User.find({}).select('-password');
     res.json(users);
@@ -19,8 +69,8 @@ router.get('/users', adminAuth, async (req, res) => {
   }
 });
 
-// Get all products (Admin only)
-router.get('/products', adminAuth, async (req, res) => {
+// Get all products (catalogs:read-all)
+router.get('/products', auth, requirePermission('catalogs:read-all'), async (req, res) => {
   try {
     const products = await Product.find({}).populate('createdBy', 'name');
     res.json(products);
@@ -30,8 +80,8 @@ router.get('/products', adminAuth, async (req, res) => {
   }
 });
 
-// Get dashboard stats (Admin only)
-router.get('/dashboard', adminAuth, async (req, res) => {
+// Get dashboard stats (admin:dashboard)
+router.get('/dashboard', auth, requirePermission('admin:dashboard'), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments({ isAdmin: false });
     const totalProducts = await Product.countDocuments();
@@ -56,8 +106,34 @@ router.get('/dashboard', adminAuth, async (req, res) => {
   }
 });
 
-// Update user status (Admin only)
-router.put('/users/:id', adminAuth, async (req, res) => {
+// Report accounts still holding legacy plain-text passwords (users:manage)
+// GET /api/admin/reports/plaintext-passwords
+// They are re-hashed automatically on the user's next successful login.
+router.get('/reports/plaintext-passwords', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const users = await User.find({ password: { $not: /^\$2/ } })
+      .select('name email isActive createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({
+      count: users.length,
+      users: users.map(user => ({
+        id: user._id.toString(),
+        name: user.name,
+        email: user.email,
+        isActive: user.isActive !== false,
+        createdAt: user.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error building plain-text password report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update user status (users:manage)
+router.put('/users/:id', auth, requirePermission('users:manage'), async (req, res) => {
   try {
     const { isActive } = req.body;
 
@@ -66,9 +142,28 @@ router.put('/users/:id', adminAuth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (user.isAdmin && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only admins can modify admin accounts' });
+    }
+
+    const wasActive = user.isActive;
     user.isActive = isActive;
     await user.save();
 
+    // A deactivated account must not keep using the tokens it already has
+    if (user.isActive === false) {
+      await Session.revokeAllForUser(user._id, 'account_deactivated');
+    }
+
+    await recordAudit(req, {
+      action: 'user.status.update',
+      targetType: 'user',
+      targetId: user._id,
+      targetLabel: user.email,
+      before: { isActive: wasActive },
+      after: { isActive: user.isActive }
+    });
+
     res.json({ message: 'User updated successfully' });
   } catch (error) {
     console.error(error);
@@ -76,10 +171,10 @@ router.put('/users/:id', adminAuth, async (req, res) => {
   }
 });
 
-// Send a notification to a specific user (Admin only)
+// Send a notification to a specific user (notifications:send)
 // POST /api/admin/notify
 // body: { userId, title, body, data }
-router.post('/notify', adminAuth, async (req, res) => {
+router.post('/notify', auth, requirePermission('notifications:send'), async (req, res) => {
   try {
     const { userId, title = '', body = '', data = {} } = req.body;
     if (!userId) return res.status(400).json({ message: 'userId is required' });
@@ -90,6 +185,14 @@ router.post('/notify', adminAuth, async (req, res) => {
     // persist notification
     const notif = await Notification.create({ user: userId, title, body, data });
 
+    await recordAudit(req, {
+      action: 'notification.send',
+      targetType: 'user',
+      targetId: user._id,
+      targetLabel: user.email,
+      metadata: { notificationId: notif._id.toString(), title }
+    });
+
     // emit via Socket.IO to connected sockets for that user
     const io = req.app.get('io');
     const socketsByUser = req.app.get('socketsByUser');
@@ -115,4 +218,878 @@ router.post('/notify', adminAuth, async (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+// Keep only permissions that exist
+const sanitizePermissions = (permissions) => Array.from(new Set(
+  (Array.isArray(permissions) ? permissions : []).filter(p => Object.prototype.hasOwnProperty.call(PERMISSIONS, p))
+));
+
+// List available permissions (roles:manage)
+// GET /api/admin/permissions
+router.get('/permissions', auth, requirePermission('roles:manage'), (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+});
+
+// List built-in and custom roles (roles:manage)
+// GET /api/admin/roles
+router.get('/roles', auth, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const customRoles = await Role.find({}).sort({ name: 1 }).lean();
+    const builtIn = Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({
+      name,
+      label: role.label,
+      description: '',
+      permissions: role.permissions,
+      builtIn: true
+    }));
+
+    res.json([
+      ...builtIn,
+      ...customRoles.map(role => ({
+        name: role.name,
+        label: role.label,
+        description: role.description,
+        permissions: role.permissions,
+        builtIn: false
+      }))
+    ]);
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a custom role (roles:manage)
+// POST /api/admin/roles
+// body: { name, label, description, permissions }
+router.post('/roles', auth, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { name, label = '', description = '', permissions = [] } = req.body;
+    if (!name) return res.status(400).json({ message: 'Role name is required' });
+
+    const roleName = String(name).trim().toLowerCase();
+    if (BUILT_IN_ROLES[roleName]) {
+      return res.status(400).json({ message: `"${roleName}" is a built-in role` });
+    }
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(roleName)) {
+      return res.status(400).json({ message: 'Role name may only contain lowercase letters, digits and dashes' });
+    }
+
+    const existing = await Role.findOne({ name: roleName });
+    if (existing) return res.status(400).json({ message: 'Role already exists' });
+
+    const unknown = (Array.isArray(permissions) ? permissions : []).filter(p => !PERMISSIONS[p]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown permissions: ${unknown.join(', ')}` });
+    }
+
+    const role = await Role.create({
+      name: roleName,
+      label,
+      description,
+      permissions: sanitizePermissions(permissions),
+      createdBy: req.user._id
+    });
+
+    await recordAudit(req, {
+      action: 'role.create',
+      targetType: 'role',
+      targetId: role.name,
+      targetLabel: role.label,
+      after: role
+    });
+
+    res.status(201).json(role);
+  } catch (error) {
+    console.error('Error creating role:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a custom role (roles:manage)
+// PUT /api/admin/roles/:name
+router.put('/roles/:name', auth, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name.toLowerCase() });
+    if (!role) return res.status(404).json({ message: 'Role not found' });
+
+    const before = snapshot(role);
+    const { label, description, permissions } = req.body;
+    if (permissions !== undefined) {
+      const unknown = (Array.isArray(permissions) ? permissions : []).filter(p => !PERMISSIONS[p]);
+      if (unknown.length > 0) {
+        return res.status(400).json({ message: `Unknown permissions: ${unknown.join(', ')}` });
+      }
+      role.permissions = sanitizePermissions(permissions);
+    }
+    if (label !== undefined) role.label = label;
+    if (description !== undefined) role.description = description;
+
+    await role.save();
+    clearRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.update',
+      targetType: 'role',
+      targetId: role.name,
+      targetLabel: role.label,
+      before,
+      after: role
+    });
+
+    res.json(role);
+  } catch (error) {
+    console.error('Error updating role:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a custom role; its users fall back to 'user' (roles:manage)
+// DELETE /api/admin/roles/:name
+router.delete('/roles/:name', auth, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findOneAndDelete({ name: req.params.name.toLowerCase() });
+    if (!role) return res.status(404).json({ message: 'Role not found' });
+
+    const result = await User.updateMany({ role: role.name }, { $set: { role: 'user' } });
+    clearRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.delete',
+      targetType: 'role',
+      targetId: role.name,
+      targetLabel: role.label,
+      before: role,
+      metadata: { usersReassigned: result.modifiedCount }
+    });
+
+    res.json({ message: 'Role deleted successfully', usersReassigned: result.modifiedCount });
+  } catch (error) {
+    console.error('Error deleting role:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Assign a role to a user (roles:manage; granting 'admin' requires an admin)
+// PUT /api/admin/users/:id/role
+// body: { role }
+router.put('/users/:id/role', auth, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const roleName = String(req.body.role || '').trim().toLowerCase();
+    if (!roleName) return res.status(400).json({ message: 'role is required' });
+
+    if (!BUILT_IN_ROLES[roleName] && !(await Role.exists({ name: roleName }))) {
+      return res.status(400).json({ message: `Unknown role: ${roleName}` });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    if ((roleName === 'admin' || user.isAdmin) && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only admins can grant or remove the admin role' });
+    }
+    if (String(user._id) === req.user.id && user.isAdmin && roleName !== 'admin') {
+      return res.status(400).json({ message: 'Cannot remove your own admin role' });
+    }
+
+    const previousRole = user.isAdmin ? 'admin' : (user.role || 'user');
+    user.isAdmin = roleName === 'admin';
+    user.role = roleName;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.role.update',
+      targetType: 'user',
+      targetId: user._id,
+      targetLabel: user.email,
+      before: { role: previousRole },
+      after: { role: roleName }
+    });
+
+    res.json({
+      id: user._id.toString(),
+      name: user.name,
+      email: user.email,
+      isAdmin: user.isAdmin,
+      role: user.role
+    });
+  } catch (error) {
+    console.error('Error assigning role:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List API key scopes (api-keys:manage)
+// GET /api/admin/api-keys/scopes
+router.get('/api-keys/scopes', auth, requirePermission('api-keys:manage'), (req, res) => {
+  res.json(Object.entries(API_KEY_SCOPES).map(([name, scope]) => ({
+    name,
+    description: scope.description,
+    routes: scope.routes
+  })));
+});
+
+// List API keys (api-keys:manage)
+// GET /api/admin/api-keys
+router.get('/api-keys', auth, requirePermission('api-keys:manage'), async (req, res) => {
+  try {
+    const keys = await ApiKey.find({})
+      .sort({ createdAt: -1 })
+      .populate('ownerId', 'name email');
+    res.json(keys.map(key => key.toPublic()));
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create an API key (api-keys:manage)
+// POST /api/admin/api-keys
+// body: { name, scopes, ownerId?, allowedIps?, expiresAt? }
+// The key is returned only in this response.
+router.post('/api-keys', auth, requirePermission('api-keys:manage'), async (req, res) => {
+  try {
+    const { name, ownerId = req.user.id, allowedIps = [], expiresAt = null } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+
+    const scopes = sanitizeScopes(req.body.scopes);
+    if (scopes.length === 0) {
+      return res.status(400).json({ message: 'At least one valid scope is required', availableScopes: Object.keys(API_KEY_SCOPES) });
+    }
+
+    if (!Array.isArray(allowedIps) || !allowedIps.every(isValidIpEntry)) {
+      return res.status(400).json({ message: 'allowedIps must be a list of IP addresses or CIDR ranges' });
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({ message: 'expiresAt must be a future date' });
+      }
+    }
+
+    const owner = await User.findById(ownerId).select('name email isAdmin isActive');
+    if (!owner) {
+      return res.status(404).json({ message: 'Owner not found' });
+    }
+    const authorityError = checkApiKeyAuthority(req.user, scopes, owner);
+    if (authorityError) {
+      return sendAuthorityError(res, authorityError);
+    }
+
+    const { key, keyHash, keyPrefix } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      name: String(name).trim(),
+      keyHash,
+      keyPrefix,
+      ownerId: owner._id,
+      scopes,
+      allowedIps,
+      expiresAt: expiry,
+      createdBy: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: 'api-key.create',
+      targetType: 'api-key',
+      targetId: apiKey._id,
+      targetLabel: apiKey.name,
+      after: apiKey
+    });
+
+    console.log('🔑 API key created:', apiKey.name, keyPrefix, 'by', req.user.email);
+    res.status(201).json({ ...apiKey.toPublic(), key });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace the secret of an API key, the previous one stops working (api-keys:manage)
+// POST /api/admin/api-keys/:id/rotate
+router.post('/api-keys/:id/rotate', auth, requirePermission('api-keys:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ message: 'API key is revoked' });
+    }
+
+    const owner = await User.findById(apiKey.ownerId).select('isAdmin');
+    const authorityError = checkApiKeyAuthority(req.user, apiKey.scopes, owner);
+    if (authorityError) {
+      return sendAuthorityError(res, authorityError);
+    }
+
+    const { key, keyHash, keyPrefix } = generateApiKey();
+    apiKey.keyHash = keyHash;
+    apiKey.keyPrefix = keyPrefix;
+    apiKey.rotatedAt = new Date();
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'api-key.rotate',
+      targetType: 'api-key',
+      targetId: apiKey._id,
+      targetLabel: apiKey.name,
+      metadata: { keyPrefix }
+    });
+
+    console.log('🔑 API key rotated:', apiKey.name, keyPrefix, 'by', req.user.email);
+    res.json({ ...apiKey.toPublic(), key });
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke an API key (api-keys:manage)
+// DELETE /api/admin/api-keys/:id
+router.delete('/api-keys/:id', auth, requirePermission('api-keys:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    const owner = await User.findById(apiKey.ownerId).select('isAdmin');
+    const authorityError = checkApiKeyAuthority(req.user, apiKey.scopes, owner);
+    if (authorityError) {
+      return sendAuthorityError(res, authorityError);
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      await recordAudit(req, {
+        action: 'api-key.revoke',
+        targetType: 'api-key',
+        targetId: apiKey._id,
+        targetLabel: apiKey.name
+      });
+      console.log('🔑 API key revoked:', apiKey.name, apiKey.keyPrefix, 'by', req.user.email);
+    }
+
+    res.json({ message: 'API key revoked', apiKey: apiKey.toPublic() });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start viewing the app as a customer (users:impersonate)
+// POST /api/admin/impersonate/:userId
+// body: { reason? }
+// Staff accounts can only be impersonated by someone holding all their permissions.
+// Returns a short-lived, read-only token for that user; every request made
+// with it is recorded (see GET /api/admin/impersonations).
+router.post('/impersonate/:userId', auth, requirePermission('users:impersonate'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({ message: 'Cannot impersonate yourself' });
+    }
+
+    const target = await User.findById(req.params.userId);
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (target.isAdmin) {
+      return res.status(403).json({ message: 'Admin accounts cannot be impersonated' });
+    }
+
+    // Staff with a custom role: only by someone who already has all their access
+    const missing = (await getUserPermissions(target))
+      .filter(permission => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({ message: 'You cannot impersonate a user with permissions you do not have', missingPermissions: missing });
+    }
+
+    const impersonation = await Impersonation.create({
+      adminId: req.user.id,
+      targetUserId: target._id,
+      reason: String(req.body.reason || '').slice(0, 500),
+      ip: req.ip || '',
+      userAgent: req.get('User-Agent') || '',
+      expiresAt: new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000)
+    });
+
+    await recordAudit(req, {
+      action: 'user.impersonate',
+      targetType: 'user',
+      targetId: target._id,
+      targetLabel: target.email,
+      metadata: { impersonationId: impersonation._id.toString(), reason: impersonation.reason }
+    });
+
+    console.log('👤 Impersonation started:', req.user.email, 'as', target.email);
+    res.status(201).json({
+      token: signImpersonationToken(impersonation),
+      impersonationId: impersonation._id.toString(),
+      expiresAt: impersonation.expiresAt,
+      readOnly: true,
+      user: {
+        id: target._id.toString(),
+        name: target.name,
+        email: target.email,
+        role: target.role || 'user'
+      }
+    });
+  } catch (error) {
+    console.error('Error starting impersonation:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// End an impersonation before it expires; its token stops working (users:impersonate)
+// DELETE /api/admin/impersonations/:id
+router.delete('/impersonations/:id', auth, requirePermission('users:impersonate'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Impersonation not found' });
+    }
+
+    const impersonation = await Impersonation.findById(req.params.id);
+    if (!impersonation) {
+      return res.status(404).json({ message: 'Impersonation not found' });
+    }
+    if (String(impersonation.adminId) !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only the admin who started it can end this impersonation' });
+    }
+
+    if (!impersonation.endedAt) {
+      impersonation.endedAt = new Date();
+      await impersonation.save();
+
+      await recordAudit(req, {
+        action: 'impersonation.end',
+        targetType: 'user',
+        targetId: impersonation.targetUserId,
+        metadata: { impersonationId: impersonation._id.toString() }
+      });
+      console.log('👤 Impersonation ended:', impersonation._id.toString(), 'by', req.user.email);
+    }
+
+    res.json({ message: 'Impersonation ended' });
+  } catch (error) {
+    console.error('Error ending impersonation:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Impersonation audit trail (users:impersonate)
+// GET /api/admin/impersonations?adminId=&userId=&page=&limit=
+router.get('/impersonations', auth, requirePermission('users:impersonate'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const filter = {};
+    if (req.query.adminId) filter.adminId = req.query.adminId;
+    if (req.query.userId) filter.targetUserId = req.query.userId;
+
+    const total = await Impersonation.countDocuments(filter);
+    const impersonations = await Impersonation.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('adminId', 'name email')
+      .populate('targetUserId', 'name email');
+
+    res.json({
+      impersonations: impersonations.map(impersonation => impersonation.toPublic()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching impersonations:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Audit log of administrative actions (audit:read)
+// GET /api/admin/audit?actorId=&targetType=&targetId=&action=&from=&to=&page=&limit=
+// `from`/`to` are dates (ISO strings); `action` may end with '*' to match a prefix (e.g. 'order.*')
+router.get('/audit', auth, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const { actorId, targetType, targetId, action, from, to } = req.query;
+
+    const filter = {};
+    if (actorId) {
+      if (!mongoose.Types.ObjectId.isValid(actorId)) {
+        return res.status(400).json({ message: 'Invalid actorId' });
+      }
+      filter.actorId = actorId;
+    }
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = String(targetId);
+    if (action) {
+      filter.action = action.endsWith('*')
+        ? { $regex: `^${escapeRegex(action.slice(0, -1))}` }
+        : action;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      for (const [key, value] of [['$gte', from], ['$lte', to]]) {
+        if (!value) continue;
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          return res.status(400).json({ message: `Invalid date: ${value}` });
+        }
+        filter.createdAt[key] = date;
+      }
+    }
+
+    const total = await AuditLog.countDocuments(filter);
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('actorId', 'name email')
+      .lean();
+
+    res.json({
+      entries: entries.map(entry => ({
+        id: entry._id.toString(),
+        actor: entry.actorId
+          ? { id: entry.actorId._id.toString(), name: entry.actorId.name, email: entry.actorId.email }
+          : { id: null, email: entry.actorEmail },
+        apiKeyId: entry.apiKeyId,
+        impersonatedBy: entry.impersonatedBy,
+        action: entry.action,
+        targetType: entry.targetType,
+        targetId: entry.targetId,
+        targetLabel: entry.targetLabel,
+        changes: entry.changes,
+        metadata: entry.metadata,
+        ip: entry.ip,
+        userAgent: entry.userAgent,
+        createdAt: entry.createdAt
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Customer notification templates for order status changes (notifications:send)
+// GET /api/admin/order-status-templates
+router.get('/order-status-templates', auth, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    res.json({ placeholders: PLACEHOLDERS, templates: await listTemplates() });
+  } catch (error) {
+    console.error('Error fetching order status templates:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Customize the notification sent for a status (notifications:send)
+// PUT /api/admin/order-status-templates/:status
+// body: { title?, body?, enabled?, push? }
+router.put('/order-status-templates/:status', auth, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const { status } = req.params;
+    if (!DEFAULT_TEMPLATES[status]) {
+      return res.status(400).json({ message: `Unknown status: ${status}`, validStatuses: Object.keys(DEFAULT_TEMPLATES) });
+    }
+
+    const { title, body, enabled, push } = req.body;
+    for (const [field, value] of [['title', title], ['body', body]]) {
+      if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+        return res.status(400).json({ message: `${field} must be a non-empty string` });
+      }
+    }
+
+    const existing = await OrderStatusTemplate.findOne({ status });
+    const before = snapshot(existing);
+    const template = existing || new OrderStatusTemplate({
+      status,
+      title: DEFAULT_TEMPLATES[status].title,
+      body: DEFAULT_TEMPLATES[status].body
+    });
+
+    if (title !== undefined) template.title = title.trim();
+    if (body !== undefined) template.body = body.trim();
+    if (enabled !== undefined) template.enabled = Boolean(enabled);
+    if (push !== undefined) template.push = Boolean(push);
+    template.updatedBy = req.user.id;
+    await template.save();
+
+    await recordAudit(req, {
+      action: 'order-status-template.update',
+      targetType: 'order-status-template',
+      targetId: status,
+      targetLabel: status,
+      before,
+      after: template
+    });
+
+    res.json((await listTemplates()).find(t => t.status === status));
+  } catch (error) {
+    console.error('Error updating order status template:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore the default notification of a status (notifications:send)
+// DELETE /api/admin/order-status-templates/:status
+router.delete('/order-status-templates/:status', auth, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const template = await OrderStatusTemplate.findOneAndDelete({ status: req.params.status });
+    if (template) {
+      await recordAudit(req, {
+        action: 'order-status-template.reset',
+        targetType: 'order-status-template',
+        targetId: template.status,
+        targetLabel: template.status,
+        before: template
+      });
+    }
+
+    res.json({ message: 'Template reset to default' });
+  } catch (error) {
+    console.error('Error resetting order status template:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Metal rates: the rate in effect for each metal/karat, plus recent history (pricing:manage)
+// GET /api/admin/metal-rates?metal=&karat=
+router.get('/metal-rates', auth, requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.metal) filter.metal = String(req.query.metal).toLowerCase();
+    if (req.query.karat) filter.karat = Number(req.query.karat);
+
+    const now = new Date();
+    const current = await MetalRate.aggregate([
+      { $match: { ...filter, effectiveFrom: { $lte: now } } },
+      { $sort: { effectiveFrom: -1, createdAt: -1 } },
+      { $group: { _id: { metal: '$metal', karat: '$karat' }, rate: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$rate' } },
+      { $sort: { metal: 1, karat: -1 } }
+    ]);
+    const history = await MetalRate.find(filter)
+      .sort({ effectiveFrom: -1, createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 100, 500))
+      .lean();
+
+    res.json({ metals: MetalRate.METALS, current, history });
+  } catch (error) {
+    console.error('Error fetching metal rates:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Publish a new metal rate (pricing:manage)
+// POST /api/admin/metal-rates
+// body: { metal, karat?, pricePerGram, effectiveFrom? (default now), notes? }
+router.post('/metal-rates', auth, requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    const { metal, karat, pricePerGram, effectiveFrom, notes = '' } = req.body;
+
+    if (!metal || !MetalRate.METALS.includes(String(metal).toLowerCase())) {
+      return res.status(400).json({ message: `metal must be one of: ${MetalRate.METALS.join(', ')}` });
+    }
+    if (karat !== undefined && karat !== null && karat !== '' && !(Number(karat) >= 1 && Number(karat) <= 24)) {
+      return res.status(400).json({ message: 'karat must be between 1 and 24' });
+    }
+    if (pricePerGram === undefined || !(Number(pricePerGram) >= 0)) {
+      return res.status(400).json({ message: 'pricePerGram must be a positive number' });
+    }
+    const effective = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    if (Number.isNaN(effective.getTime())) {
+      return res.status(400).json({ message: 'effectiveFrom must be a date' });
+    }
+
+    const rate = await MetalRate.create({
+      metal: String(metal).toLowerCase(),
+      karat: karat ? Number(karat) : null,
+      pricePerGram: Number(pricePerGram),
+      effectiveFrom: effective,
+      notes,
+      createdBy: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: 'metal-rate.create',
+      targetType: 'metal-rate',
+      targetId: rate._id,
+      targetLabel: rate.karat ? `${rate.metal} ${rate.karat}K` : rate.metal,
+      after: rate
+    });
+
+    console.log('💰 Metal rate published:', rate.metal, rate.karat || '', rate.pricePerGram, 'from', effective.toISOString());
+    res.status(201).json(rate);
+  } catch (error) {
+    console.error('Error creating metal rate:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a metal rate entered by mistake; rates already used by orders are kept (pricing:manage)
+// DELETE /api/admin/metal-rates/:id
+router.delete('/metal-rates/:id', auth, requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Metal rate not found' });
+    }
+
+    const rate = await MetalRate.findById(req.params.id);
+    if (!rate) {
+      return res.status(404).json({ message: 'Metal rate not found' });
+    }
+
+    if (await Order.exists({ 'items.pricing.rateId': rate._id })) {
+      return res.status(409).json({ message: 'This rate was used to price orders and cannot be deleted. Publish a new rate instead.' });
+    }
+
+    await MetalRate.deleteOne({ _id: rate._id });
+
+    await recordAudit(req, {
+      action: 'metal-rate.delete',
+      targetType: 'metal-rate',
+      targetId: rate._id,
+      targetLabel: rate.karat ? `${rate.metal} ${rate.karat}K` : rate.metal,
+      before: rate
+    });
+
+    res.json({ message: 'Metal rate deleted' });
+  } catch (error) {
+    console.error('Error deleting metal rate:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Tracked products and variants at or below their low-stock threshold (inventory:manage)
+// GET /api/admin/inventory/low-stock
+router.get('/inventory/low-stock', auth, requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    res.json(await listLowStock());
+  } catch (error) {
+    console.error('Error fetching low stock:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Stock movements, newest first (inventory:manage)
+// GET /api/admin/inventory/movements?productId=&variantId=&orderId=&type=&page=&limit=
+router.get('/inventory/movements', auth, requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const { productId, variantId, orderId, type } = req.query;
+
+    const filter = {};
+    for (const [field, value] of Object.entries({ productId, variantId, orderId })) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ message: `Invalid ${field}` });
+      }
+      filter[field] = value;
+    }
+    if (type) {
+      if (!StockMovement.MOVEMENT_TYPES.includes(type)) {
+        return res.status(400).json({ message: `type must be one of: ${StockMovement.MOVEMENT_TYPES.join(', ')}` });
+      }
+      filter.type = type;
+    }
+
+    const total = await StockMovement.countDocuments(filter);
+    const movements = await StockMovement.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('productId', 'name serialNumber')
+      .populate('orderId', 'orderNumber')
+      .lean();
+
+    res.json({
+      movements,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add received goods or correct the stock of a product/variant (inventory:manage)
+// POST /api/admin/inventory/:productId/adjust
+// body: { type: 'received'|'adjusted', quantity, variantId?, reason? } (adjusted quantities may be negative)
+router.post('/inventory/:productId/adjust', auth, requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const { type, quantity, variantId = null, reason = '' } = req.body;
+    if (type === 'adjusted' && !String(reason).trim()) {
+      return res.status(400).json({ message: 'A reason is required for stock corrections' });
+    }
+
+    let result;
+    try {
+      result = await adjustStock(req.app, product, { variantId, type, quantity, reason: String(reason).trim(), actor: req.user });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ message: err.message });
+      throw err;
+    }
+    const { movement } = result;
+
+    await recordAudit(req, {
+      action: `stock.${type}`,
+      targetType: 'product',
+      targetId: product._id,
+      targetLabel: movement.sku || product.name,
+      metadata: { variantId, quantity: movement.quantity, stockAfter: movement.stockAfter, reason: movement.reason }
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error adjusting stock:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,182 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const PasswordReset = require('../models/PasswordReset');
+const Invitation = require('../models/Invitation');
+const Catalog = require('../models/Catalog');
 const { auth, adminAuth } = require('../middlewares/auth');
 const sendInviteEmail = require('../utils/emailInvite');
+const { sendPasswordResetEmail } = require('../utils/emailInvite');
+const { notifyUser } = require('../utils/notifyUser');
+const {
+  LOGIN_MAX_FAILURES,
+  LOGIN_LOCKOUT_MINUTES,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../utils/loginThrottle');
+const {
+  createSession,
+  rotateSession,
+  parseRefreshToken,
+  hashToken,
+  signInviteToken,
+  verifyInviteToken,
+  signChallengeToken,
+  verifyChallengeToken
+} = require('../utils/authTokens');
+const { toRequestUser } = require('../utils/authProvider');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { validatePassword } = require('../utils/passwordPolicy');
+const {
+  EMAIL_VERIFICATION_MAX_ATTEMPTS,
+  EMAIL_VERIFICATION_RESEND_SECONDS,
+  sendEmailVerification,
+  isCurrentVerificationLink,
+  markEmailVerified
+} = require('../utils/emailVerification');
 
 const router = express.Router();
 
-// Token expiry policy: 30d in development, 7d in production.
-// Can be overridden via environment variable JWT_EXPIRES_IN.
-const TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || (process.env.NODE_ENV === 'production' ? '7d' : '30d');
+// Password reset codes: lifetime, number of wrong guesses allowed per code, and
+// codes that can be requested per email and per IP within one code lifetime.
+const PASSWORD_RESET_CODE_TTL_MINUTES = Number(process.env.PASSWORD_RESET_CODE_TTL_MINUTES) || 15;
+const PASSWORD_RESET_MAX_ATTEMPTS = Number(process.env.PASSWORD_RESET_MAX_ATTEMPTS) || 5;
+const PASSWORD_RESET_MAX_REQUESTS = Number(process.env.PASSWORD_RESET_MAX_REQUESTS) || 3;
+const PASSWORD_RESET_IP_MAX_REQUESTS = Number(process.env.PASSWORD_RESET_IP_MAX_REQUESTS) || 10;
+
+// Invitations: lifetime, and whether self-registration without one is refused.
+const INVITE_EXPIRES_DAYS = Number(process.env.INVITE_EXPIRES_DAYS) || 7;
+const REGISTRATION_REQUIRES_INVITE = process.env.REGISTRATION_REQUIRES_INVITE === 'true';
+
+// Resolve an invite token to its pending Invitation, or null if it can't be used
+const findInvitationByToken = async (inviteToken) => {
+  const decoded = verifyInviteToken(inviteToken);
+  if (!decoded || !mongoose.Types.ObjectId.isValid(decoded.invitationId)) return null;
+
+  const invitation = await Invitation.findById(decoded.invitationId);
+  // Resent invitations get a new token; older tokens stop working
+  if (!invitation || invitation.tokenHash !== hashToken(inviteToken) || !invitation.isUsable()) {
+    return null;
+  }
+  return invitation;
+};
+
+// Issue a fresh token for an invitation and email it
+const deliverInvitation = async (invitation, adminName) => {
+  invitation.expiresAt = new Date(Date.now() + INVITE_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+  const inviteToken = signInviteToken(invitation);
+  invitation.tokenHash = hashToken(inviteToken);
+  invitation.lastSentAt = new Date();
+  await invitation.save();
+
+  await sendInviteEmail(invitation.email, invitation.name, adminName, inviteToken, invitation.expiresAt);
+};
+
+// Two-factor authentication: issuer shown in authenticator apps, and whether
+// admins must enroll before they can sign in.
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Asawer';
+const TWO_FACTOR_REQUIRED_FOR_ADMINS = process.env.TWO_FACTOR_REQUIRED_FOR_ADMINS === 'true';
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes look like "a1b2c-3d4e5"; only their hashes are stored
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+const hashRecoveryCode = (code) => hashToken(String(code).trim().toLowerCase());
+
+// Check a TOTP code or a recovery code (consumed on use).
+// `user` must be loaded with +twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes.
+// Returns 'totp', 'recovery' or null.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  // Both checks consume in a single conditional update, so concurrent requests
+  // can't use the same TOTP step or recovery code twice
+  if (code && user.twoFactorSecret) {
+    const step = verifyCode(user.twoFactorSecret, code);
+    if (step !== null) {
+      const updated = await User.findOneAndUpdate(
+        { _id: user._id, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+        { $set: { twoFactorLastStep: step } },
+        { projection: { _id: 1 } }
+      );
+      if (updated) {
+        user.twoFactorLastStep = step;
+        user.unmarkModified('twoFactorLastStep');
+        return 'totp';
+      }
+    }
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } },
+      { new: true, projection: { twoFactorRecoveryCodes: 1 } }
+    );
+    if (updated) {
+      user.twoFactorRecoveryCodes = updated.twoFactorRecoveryCodes;
+      user.unmarkModified('twoFactorRecoveryCodes');
+      return 'recovery';
+    }
+  }
+
+  return null;
+};
+
+// Tell a user their account was just locked by login throttling
+const notifyAccountLocked = async (req, user) => {
+  try {
+    await notifyUser(req.app, user._id, {
+      title: 'Account temporarily locked',
+      body: `Your account was locked for ${LOGIN_LOCKOUT_MINUTES} minutes after ${LOGIN_MAX_FAILURES} failed sign-in attempts. If this wasn't you, change your password.`,
+      data: { type: 'account_locked' }
+    }, { push: true });
+  } catch (err) {
+    console.error('Error notifying user about account lock:', err);
+  }
+};
+
+// Accept either a normal access token, or the setup challenge token handed out
+// at login to admins who must enroll in 2FA before getting a session.
+const authOrSetupChallenge = async (req, res, next) => {
+  const { challengeToken } = req.body || {};
+  if (!challengeToken) return auth(req, res, next);
+
+  try {
+    const decoded = verifyChallengeToken(challengeToken, '2fa-setup');
+    if (!decoded) {
+      return res.status(401).json({ message: 'Invalid or expired challenge' });
+    }
+    const user = await User.findById(decoded.userId);
+    if (!user || user.isActive === false) {
+      return res.status(401).json({ message: 'Invalid or expired challenge' });
+    }
+    req.user = toRequestUser(user);
+    req.twoFactorSetupChallenge = true;
+    next();
+  } catch (error) {
+    console.error('2FA setup challenge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Shape of the user object returned alongside tokens
+const toAuthUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name,
+  phone: user.phone,
+  isAdmin: user.isAdmin,
+  role: user.isAdmin ? 'admin' : (user.role || 'user'),
+  emailVerified: user.emailVerified !== false,
+  deletionScheduledFor: user.deletionScheduledFor || null
+});
 
 // TEMPORARY: Migration endpoint to add phone field to existing users
 router.get('/migrate-phone', async (req, res) => {
@@ -34,7 +201,7 @@ router.get('/migrate-phone', async (req, res) => {
 // Register user
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 6 }),
+  body('password').notEmpty(),
   body('name').notEmpty().trim(),
   body('phone').optional().isMobilePhone()
 ], async (req, res) => {
@@ -52,34 +219,72 @@ router.post('/register', [
       return res.status(400).json({ message: 'User already exists' });
     }
 
+    const passwordErrors = await validatePassword(password, { email });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: passwordErrors[0], errors: passwordErrors });
+    }
+
+    // Validate invitation (mandatory when REGISTRATION_REQUIRES_INVITE=true)
+    let invitation = null;
+    if (inviteToken) {
+      invitation = await findInvitationByToken(inviteToken);
+      if (!invitation) {
+        return res.status(400).json({ message: 'Invalid or expired invitation' });
+      }
+      if (invitation.email !== email) {
+        return res.status(400).json({ message: 'This invitation was issued for a different email' });
+      }
+    } else if (REGISTRATION_REQUIRES_INVITE) {
+      return res.status(403).json({ message: 'Registration requires an invitation' });
+    }
+
     // Create new user
     user = new User({
       email,
       password,
       name,
-      phone: phone || ''
+      phone: phone || '',
+      isAdmin: invitation ? invitation.role === 'admin' : false,
+      invitedBy: invitation ? invitation.invitedBy : undefined,
+      // The invite email already proved the address
+      emailVerified: Boolean(invitation),
+      emailVerifiedAt: invitation ? new Date() : undefined
     });
 
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: TOKEN_EXPIRES_IN }
-    );
+    if (!invitation) {
+      try {
+        await sendEmailVerification(user);
+      } catch (err) {
+        console.error('Failed to send verification email to', user.email);
+      }
+    }
+
+    if (invitation) {
+      invitation.status = 'accepted';
+      invitation.acceptedBy = user._id;
+      invitation.acceptedAt = new Date();
+      await invitation.save();
+
+      // Grant the catalogs chosen at invite time (allowedUserIds holds string IDs)
+      if (invitation.catalogIds && invitation.catalogIds.length > 0) {
+        await Catalog.updateMany(
+          { _id: { $in: invitation.catalogIds } },
+          { $addToSet: { allowedUserIds: user._id.toString() } }
+        );
+      }
+      console.log('Invitation accepted:', invitation._id.toString(), 'by', user.email);
+    }
+
+    // Start a session: short-lived access token + rotating refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     console.log('User registered successfully:', user.email);
     res.json({
       token,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        phone: user.phone,
-        isAdmin: user.isAdmin,
-        role: user.isAdmin ? 'admin' : 'user'
-      }
+      refreshToken,
+      user: toAuthUser(user)
     });
   } catch (error) {
     console.error(error);
@@ -102,10 +307,24 @@ router.post('/login', [
 
     console.log('Login attempt for email:', email);
 
+    // Throttle password guessing per email and per IP
+    const throttle = await checkLoginAllowed(email, req.ip);
+    if (!throttle.allowed) {
+      console.log('Login throttled for email:', email, 'ip:', req.ip, 'retryAfter:', throttle.retryAfter);
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        message: throttle.locked
+          ? 'Too many failed login attempts. Account temporarily locked.'
+          : 'Too many login attempts. Please wait before trying again.',
+        retryAfter: throttle.retryAfter
+      });
+    }
+
     // Check if user exists
     const user = await User.findOne({ email });
     if (!user) {
       console.log('User not found in database for email:', email);
+      await recordLoginFailure(email, req.ip);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
@@ -130,27 +349,45 @@ router.post('/login', [
 
     if (!isMatch) {
       console.log('Password mismatch for user:', email);
+      const { accountLocked } = await recordLoginFailure(email, req.ip, user);
+      if (accountLocked) await notifyAccountLocked(req, user);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: TOKEN_EXPIRES_IN }
-    );
+    // Transparently upgrade legacy plain-text passwords to bcrypt
+    if (user.hasLegacyPassword()) {
+      user.password = password;
+      await user.save();
+      console.log('🔐 Legacy plain-text password re-hashed for user:', email);
+    }
+
+    // Second step: the password alone only earns a short-lived challenge token
+    if (user.twoFactorEnabled) {
+      console.log('Password accepted, 2FA code required for:', email);
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user, '2fa')
+      });
+    }
+
+    if (user.isAdmin && TWO_FACTOR_REQUIRED_FOR_ADMINS) {
+      console.log('Password accepted, admin must enroll in 2FA:', email);
+      return res.json({
+        twoFactorSetupRequired: true,
+        challengeToken: signChallengeToken(user, '2fa-setup', '15m')
+      });
+    }
+
+    await recordLoginSuccess(email);
+
+    // Start a session: short-lived access token + rotating refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     console.log('User login successful:', user.email, 'isAdmin:', user.isAdmin);
     res.json({
       token,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        phone: user.phone,
-        isAdmin: user.isAdmin,
-        role: user.isAdmin ? 'admin' : 'user'
-      }
+      refreshToken,
+      user: toAuthUser(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -158,10 +395,235 @@ router.post('/login', [
   }
 });
 
+// Complete a 2FA login with a TOTP code or a recovery code
+router.post('/login/2fa', [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body().custom(value => Boolean(value && (value.code || value.recoveryCode)))
+    .withMessage('A two-factor code or a recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const decoded = verifyChallengeToken(challengeToken, '2fa');
+    if (!decoded) {
+      return res.status(401).json({ message: 'Invalid or expired challenge' });
+    }
+
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+    if (!user || user.isActive === false || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: 'Invalid or expired challenge' });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        message: 'Too many login attempts. Please wait before trying again.',
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      console.log('Invalid 2FA code for user:', user.email);
+      const { accountLocked } = await recordLoginFailure(user.email, req.ip, user);
+      if (accountLocked) await notifyAccountLocked(req, user);
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    await recordLoginSuccess(user.email);
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    console.log('User login successful (2FA via', method + '):', user.email);
+    const response = {
+      token,
+      refreshToken,
+      user: toAuthUser(user)
+    };
+    if (method === 'recovery') {
+      response.recoveryCodesRemaining = user.twoFactorRecoveryCodes.length;
+    }
+    res.json(response);
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start 2FA enrollment: returns a new secret and its otpauth:// URI
+router.post('/2fa/setup', authOrSetupChallenge, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email, TOTP_ISSUER)
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Finish 2FA enrollment by proving the authenticator app works
+router.post('/2fa/enable', authOrSetupChallenge, [
+  body('code').notEmpty().withMessage('Two-factor code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastStep = step;
+    user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    await user.save();
+
+    console.log('🔐 2FA enabled for user:', user.email);
+    const response = {
+      message: 'Two-factor authentication enabled',
+      // Shown once; the client must ask the user to store them
+      recoveryCodes
+    };
+
+    // Enrolling from the login challenge completes the login
+    if (req.twoFactorSetupChallenge) {
+      await recordLoginSuccess(user.email);
+      const { token, refreshToken } = await createSession(user, req);
+      Object.assign(response, { token, refreshToken, user: toAuthUser(user) });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Disable 2FA (password and a current code or recovery code required)
+router.post('/2fa/disable', auth, [
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.isAdmin && TWO_FACTOR_REQUIRED_FOR_ADMINS) {
+      return res.status(403).json({ message: 'Two-factor authentication is mandatory for admins' });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({ message: 'Invalid password or two-factor code' });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorLastStep = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorEnabledAt = undefined;
+    await user.save();
+
+    console.log('🔐 2FA disabled for user:', user.email);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace all recovery codes (requires a current TOTP code)
+router.post('/2fa/recovery-codes', auth, [
+  body('code').notEmpty().withMessage('Two-factor code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Send invite (Admin only)
 router.post('/invite', adminAuth, [
   body('email').isEmail().normalizeEmail(),
-  body('name').notEmpty().trim()
+  body('name').notEmpty().trim(),
+  body('role').optional().isIn(['user', 'admin']),
+  body('catalogIds').optional().isArray()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -169,7 +631,7 @@ router.post('/invite', adminAuth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, name } = req.body;
+    const { email, name, role = 'user', catalogIds = [] } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -177,16 +639,117 @@ router.post('/invite', adminAuth, [
       return res.status(400).json({ message: 'User already exists' });
     }
 
-    // Send invite email
-    await sendInviteEmail(email, name, req.user.name);
+    // Only grant catalogs that actually exist
+    const validIds = catalogIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const catalogs = await Catalog.find({ _id: { $in: validIds } }).select('_id');
+    if (catalogs.length !== catalogIds.length) {
+      return res.status(400).json({ message: 'Some catalogs not found' });
+    }
+
+    // A new invitation replaces any pending one for the same email
+    await Invitation.updateMany(
+      { email, status: 'pending' },
+      { $set: { status: 'revoked', updatedAt: new Date() } }
+    );
+
+    const invitation = new Invitation({
+      email,
+      name,
+      invitedBy: req.user._id,
+      role,
+      catalogIds: catalogs.map(c => c._id)
+    });
 
-    res.json({ message: 'Invite sent successfully' });
+    // Sign the token, save and send the invite email
+    await deliverInvitation(invitation, req.user.name);
+
+    res.json({ message: 'Invite sent successfully', invitation: invitation.toPublic() });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// List invitations (Admin only), pending by default
+router.get('/invites', adminAuth, async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    const filter = {};
+    if (status === 'expired') {
+      filter.status = 'pending';
+      filter.expiresAt = { $lte: new Date() };
+    } else if (status === 'pending') {
+      filter.status = 'pending';
+      filter.expiresAt = { $gt: new Date() };
+    } else if (status !== 'all') {
+      filter.status = status;
+    }
+
+    const invitations = await Invitation.find(filter)
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json(invitations.map(invitation => invitation.toPublic()));
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resend a pending invitation with a fresh token (Admin only)
+router.post('/invites/:id/resend', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    // Expired invitations can be resent; accepted or revoked ones cannot
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ message: `Invitation is already ${invitation.status}` });
+    }
+
+    invitation.sendCount += 1;
+    await deliverInvitation(invitation, req.user.name);
+
+    res.json({ message: 'Invite resent successfully', invitation: invitation.toPublic() });
+  } catch (error) {
+    console.error('Error resending invitation:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke a pending invitation (Admin only)
+router.delete('/invites/:id', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ message: `Invitation is already ${invitation.status}` });
+    }
+
+    invitation.status = 'revoked';
+    await invitation.save();
+
+    res.json({ message: 'Invitation revoked successfully', invitation: invitation.toPublic() });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get current user
 router.get('/me', auth, async (req, res) => {
   res.json({
@@ -196,7 +759,11 @@ router.get('/me', auth, async (req, res) => {
       name: req.user.name,
       phone: req.user.phone,
       isAdmin: req.user.isAdmin,
-      role: req.user.isAdmin ? 'admin' : 'user'
+      role: req.user.role,
+      permissions: req.user.permissions || [],
+      twoFactorEnabled: req.user.twoFactorEnabled === true,
+      emailVerified: req.user.emailVerified !== false,
+      impersonatedBy: req.user.impersonatedBy || null
     }
   });
 });
@@ -204,7 +771,7 @@ router.get('/me', auth, async (req, res) => {
 // Change password
 router.put('/change-password', auth, [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
-  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters'),
+  body('newPassword').notEmpty().withMessage('New password is required'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -213,7 +780,7 @@ router.put('/change-password', auth, [
     }
 
     const { currentPassword, newPassword } = req.body;
-    const user = await User.findById(req.user._id);
+    const user = await User.findById(req.user._id).select('+passwordHistory');
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -225,10 +792,18 @@ router.put('/change-password', auth, [
       return res.status(400).json({ message: 'Current password is incorrect' });
     }
 
+    const passwordErrors = await validatePassword(newPassword, user);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: passwordErrors[0], errors: passwordErrors });
+    }
+
     // Update password
-    user.password = newPassword;
+    user.setPassword(newPassword);
     await user.save();
 
+    // Sign out every other device; the current session stays valid
+    await Session.revokeAllForUser(user._id, 'password_changed', req.sessionId);
+
     console.log('🔐 Password changed for user:', user.email);
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
@@ -237,4 +812,353 @@ router.put('/change-password', auth, [
   }
 });
 
+// Verify email with the emailed link token or the 6-digit code
+// body: { token } or { email, code }
+router.post('/verify-email', [
+  body('email').optional().isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, email, code } = req.body;
+    const invalid = { message: 'Invalid or expired verification code' };
+
+    if (token) {
+      const decoded = verifyChallengeToken(token, 'verify-email');
+      const user = decoded && await User.findById(decoded.userId);
+      if (!user || (!user.emailVerified && !isCurrentVerificationLink(user, decoded))) {
+        return res.status(400).json(invalid);
+      }
+      if (!user.emailVerified) await markEmailVerified(user);
+      return res.json({ message: 'Email verified successfully', emailVerified: true });
+    }
+
+    if (!email || !code) {
+      return res.status(400).json({ message: 'Verification token, or email and code, are required' });
+    }
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(400).json(invalid);
+    }
+    if (user.emailVerified) {
+      return res.json({ message: 'Email already verified', emailVerified: true });
+    }
+
+    // Claim an attempt before comparing, so parallel guesses can't exceed the limit
+    const claimed = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        emailVerified: false,
+        emailVerificationCodeHash: { $exists: true },
+        emailVerificationExpiresAt: { $gt: new Date() },
+        emailVerificationAttempts: { $lt: EMAIL_VERIFICATION_MAX_ATTEMPTS }
+      },
+      { $inc: { emailVerificationAttempts: 1 } },
+      { new: true }
+    ).select('+emailVerificationCodeHash +emailVerificationExpiresAt +emailVerificationAttempts');
+    if (!claimed) {
+      return res.status(400).json(invalid);
+    }
+
+    const isMatch = await bcrypt.compare(String(code).trim(), claimed.emailVerificationCodeHash);
+    if (!isMatch) {
+      return res.status(400).json({
+        ...invalid,
+        attemptsRemaining: Math.max(EMAIL_VERIFICATION_MAX_ATTEMPTS - claimed.emailVerificationAttempts, 0)
+      });
+    }
+
+    await markEmailVerified(claimed);
+
+    console.log('✉️ Email verified for user:', user.email);
+    res.json({ message: 'Email verified successfully', emailVerified: true });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send a new verification email to the current user
+router.post('/verify-email/resend', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email already verified' });
+    }
+
+    const sentAt = user.emailVerificationSentAt;
+    if (sentAt && Date.now() - sentAt.getTime() < EMAIL_VERIFICATION_RESEND_SECONDS * 1000) {
+      const retryAfter = Math.ceil((sentAt.getTime() + EMAIL_VERIFICATION_RESEND_SECONDS * 1000 - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: 'Please wait before requesting another email', retryAfter });
+    }
+
+    await sendEmailVerification(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Request a password reset code by email
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email } = req.body;
+    // Same answer whether or not the account exists, so emails can't be enumerated
+    const genericResponse = { message: 'If an account exists for this email, a reset code has been sent' };
+
+    // Each code allows a few guesses: cap how many codes can be minted. Codes
+    // are kept (superseded, not deleted) until they expire so they can be counted.
+    const since = new Date(Date.now() - PASSWORD_RESET_CODE_TTL_MINUTES * 60 * 1000);
+    const requestIp = req.ip || '';
+    if (await PasswordReset.countDocuments({ requestIp, createdAt: { $gt: since } }) >= PASSWORD_RESET_IP_MAX_REQUESTS) {
+      const retryAfter = PASSWORD_RESET_CODE_TTL_MINUTES * 60;
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: 'Too many password reset requests, please try again later', retryAfter });
+    }
+
+    const user = await User.findOne({ email });
+    if (!user || user.isActive === false) {
+      console.log('Password reset requested for unknown or inactive email:', email);
+      return res.json(genericResponse);
+    }
+
+    if (await PasswordReset.countDocuments({ userId: user._id, createdAt: { $gt: since } }) >= PASSWORD_RESET_MAX_REQUESTS) {
+      console.log('Password reset request limit reached for user:', email);
+      return res.json(genericResponse);
+    }
+
+    // Only the latest code is usable
+    await PasswordReset.updateMany({ userId: user._id, usedAt: null }, { $set: { usedAt: new Date() } });
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const salt = await bcrypt.genSalt(10);
+    await PasswordReset.create({
+      userId: user._id,
+      codeHash: await bcrypt.hash(code, salt),
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_CODE_TTL_MINUTES * 60 * 1000),
+      requestIp
+    });
+
+    try {
+      await sendPasswordResetEmail(user.email, user.name, code, PASSWORD_RESET_CODE_TTL_MINUTES);
+    } catch (err) {
+      console.error('Failed to deliver password reset code to', user.email);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reset password with an emailed code
+router.post('/reset-password', [
+  body('email').isEmail().normalizeEmail(),
+  body('code').notEmpty().trim().withMessage('Reset code is required'),
+  body('newPassword').notEmpty().withMessage('New password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, code, newPassword } = req.body;
+    const invalidCode = { message: 'Invalid or expired reset code' };
+
+    const user = await User.findOne({ email }).select('+passwordHistory');
+    if (!user || user.isActive === false) {
+      return res.status(400).json(invalidCode);
+    }
+
+    const active = await PasswordReset.findActiveForUser(user._id);
+    // Claim an attempt before comparing, so parallel guesses can't exceed the limit
+    const reset = active && await PasswordReset.findOneAndUpdate(
+      { _id: active._id, usedAt: null, attempts: { $lt: PASSWORD_RESET_MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!reset) {
+      return res.status(400).json(invalidCode);
+    }
+
+    const isMatch = await bcrypt.compare(code, reset.codeHash);
+    if (!isMatch) {
+      // Burn the code once the attempt limit is reached
+      if (reset.attempts >= PASSWORD_RESET_MAX_ATTEMPTS) {
+        await PasswordReset.updateOne({ _id: reset._id, usedAt: null }, { $set: { usedAt: new Date() } });
+      }
+      console.log('Wrong password reset code for user:', email, 'attempts:', reset.attempts);
+      return res.status(400).json({
+        ...invalidCode,
+        attemptsRemaining: Math.max(PASSWORD_RESET_MAX_ATTEMPTS - reset.attempts, 0)
+      });
+    }
+
+    // Checked after the code so the policy answer can't be used to probe accounts
+    const passwordErrors = await validatePassword(newPassword, user);
+    if (passwordErrors.length > 0) {
+      // The right code with a weak password doesn't use up a guess
+      await PasswordReset.updateOne({ _id: reset._id }, { $inc: { attempts: -1 } });
+      return res.status(400).json({ message: passwordErrors[0], errors: passwordErrors });
+    }
+
+    // Single use, even if two requests got here with the right code
+    const consumed = await PasswordReset.findOneAndUpdate(
+      { _id: reset._id, usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+    if (!consumed) {
+      return res.status(400).json(invalidCode);
+    }
+
+    user.setPassword(newPassword);
+    await user.save();
+
+    // Whoever had the old password must not stay signed in
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    console.log('🔐 Password reset for user:', user.email);
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Exchange a refresh token for a new token pair (rotation)
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const parsed = parseRefreshToken(req.body.refreshToken);
+    if (!parsed || !mongoose.Types.ObjectId.isValid(parsed.sessionId)) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const session = await Session.findById(parsed.sessionId).select('+previousRefreshTokenHashes');
+    if (!session || !session.isActive()) {
+      return res.status(401).json({ message: 'Session expired or revoked' });
+    }
+
+    const presentedHash = hashToken(parsed.secret);
+    if (session.refreshTokenHash !== presentedHash) {
+      // A secret that was already rotated out is being replayed: assume the
+      // token leaked and kill the whole session. Any other secret is just wrong
+      // (knowing a session id must not be enough to sign its owner out).
+      if (session.previousRefreshTokenHashes.includes(presentedHash)) {
+        await session.revoke('refresh_token_reuse');
+        console.warn('🔒 Refresh token reuse detected, session revoked:', session._id.toString());
+        return res.status(401).json({ message: 'Refresh token reuse detected, session revoked' });
+      }
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || user.isActive === false) {
+      await session.revoke('user_inactive');
+      return res.status(401).json({ message: 'Account is inactive' });
+    }
+
+    const rotated = await rotateSession(session, user, req);
+    if (!rotated) {
+      // A concurrent refresh with the same token won the rotation
+      return res.status(401).json({ message: 'Refresh token already used' });
+    }
+    const { token, refreshToken } = rotated;
+
+    res.json({
+      token,
+      refreshToken,
+      user: toAuthUser(user)
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Logout current device (or the session a refresh token belongs to)
+router.post('/logout', auth, async (req, res) => {
+  try {
+    const parsed = parseRefreshToken(req.body && req.body.refreshToken);
+    const sessionId = req.sessionId || (parsed && parsed.sessionId);
+
+    if (sessionId && mongoose.Types.ObjectId.isValid(sessionId)) {
+      const session = await Session.findOne({ _id: sessionId, userId: req.user._id });
+      if (session && !session.revokedAt) {
+        await session.revoke('logout');
+      }
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List current user's active sessions (devices)
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => session.toPublic(req.sessionId)));
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const session = await Session.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    if (!session.revokedAt) {
+      await session.revoke('revoked_by_user');
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
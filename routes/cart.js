@@ -0,0 +1,424 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const { auth } = require('../middlewares/auth');
+const { idempotency } = require('../middlewares/idempotency');
+const { priceProduct, orderTotal } = require('../utils/pricing');
+const {
+  requireVerifiedEmail,
+  loadOrderableCatalog,
+  resolveOrderLine,
+  placeOrder,
+  orderCreatedResponse
+} = require('../utils/orderCreation');
+
+// How long a checkout keeps the cart locked if it never finishes (crash)
+const CHECKOUT_LOCK_MS = 60 * 1000;
+
+const isCheckoutLocked = (cart) => Boolean(cart && cart.checkoutLockedUntil && cart.checkoutLockedUntil > new Date());
+
+// Filter matching carts no checkout is running on
+const notCheckingOut = () => ({ $or: [{ checkoutLockedUntil: null }, { checkoutLockedUntil: { $lte: new Date() } }] });
+
+const checkoutInProgress = { message: 'This cart is being checked out' };
+
+const isValidQuantity = (quantity) => Number.isInteger(Number(quantity)) && Number(quantity) >= 1;
+
+// Answer with the status of an orderCreation error, or rethrow
+const sendOrderError = (res, err) => {
+  if (!err.status) throw err;
+  return res.status(err.status).json({ message: err.message });
+};
+
+/**
+ * Cart with an estimate of each line at today's prices. Lines that can no
+ * longer be ordered (product removed, variant withdrawn, no metal rate) carry
+ * a `problem` instead of a price.
+ */
+async function cartResponse(cart, catalog) {
+  const pricingOptions = { at: new Date(), rateCache: new Map() };
+  const lines = [];
+  for (const item of cart.items) {
+    const line = { ...item.toObject(), price: null, problem: null };
+    try {
+      const { product, variant } = await resolveOrderLine(catalog, item);
+      const priced = await priceProduct(product, { ...pricingOptions, variant });
+      Object.assign(line, {
+        name: product.name,
+        imageUrl: product.imageUrl,
+        sku: product.variantSku(variant),
+        price: priced.price
+      });
+    } catch (err) {
+      if (!err.status) throw err;
+      line.problem = err.message;
+    }
+    lines.push(line);
+  }
+
+  const priced = lines.filter(line => line.price !== null);
+  return {
+    _id: cart.isNew ? null : cart._id,
+    catalogId: catalog._id,
+    catalogName: catalog.name,
+    notes: cart.notes || '',
+    items: lines,
+    itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+    estimatedTotal: orderTotal(priced),
+    canCheckout: lines.length > 0 && priced.length === lines.length,
+    updatedAt: cart.updatedAt || null
+  };
+}
+
+// Load the catalog (with access check) and the user's cart in it, if any
+async function loadCart(req) {
+  const catalog = await loadOrderableCatalog(req.params.catalogId, req.user);
+  const cart = await Cart.findOne({ userId: req.user.id, catalogId: catalog._id });
+  return { catalog, cart };
+}
+
+// The user's cart in the catalog, created if needed. An upsert, so two first
+// "add to cart" at the same time end up in the same cart
+async function openCart(req, catalog) {
+  const filter = { userId: req.user.id, catalogId: catalog._id };
+  try {
+    return await Cart.findOneAndUpdate(filter, { $setOnInsert: { items: [], notes: '' } }, { upsert: true, new: true });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return Cart.findOne(filter);
+  }
+}
+
+// Save a cart unless a checkout took it since it was read (the lock is part of
+// the update filter). Resolves to false when it did: the change must not be
+// saved, the checkout would drop it with the cart.
+async function saveUnlessCheckingOut(cart) {
+  cart.$where = notCheckingOut();
+  try {
+    await cart.save();
+    return true;
+  } catch (err) {
+    if (err.name === 'DocumentNotFoundError' || err.name === 'VersionError') return false;
+    throw err;
+  }
+}
+
+// Same product and variant/options as an existing line
+const sameLine = (a, b) => String(a.productId) === String(b.productId)
+  && String(a.variantId || '') === String(b.variantId || '')
+  && (a.size || '') === (b.size || '')
+  && (a.height || '') === (b.height || '')
+  && (a.clasp || '') === (b.clasp || '');
+
+// Canonical line for a validated item (variant options win over the request)
+const cartLine = (item, product, variant) => ({
+  productId: product._id,
+  variantId: variant ? variant._id : null,
+  size: variant ? variant.size : item.size,
+  height: variant ? variant.height : item.height,
+  clasp: variant ? variant.clasp : item.clasp
+});
+
+// GET /api/cart - Carts of the current user, one per catalog
+router.get('/', auth, async (req, res) => {
+  try {
+    const carts = await Cart.find({ userId: req.user.id })
+      .populate('catalogId', 'name')
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json(carts.map(cart => ({
+      _id: cart._id,
+      catalogId: cart.catalogId ? cart.catalogId._id : null,
+      catalogName: cart.catalogId ? cart.catalogId.name : null,
+      itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0),
+      updatedAt: cart.updatedAt
+    })));
+  } catch (error) {
+    console.error('Error fetching carts:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/cart/checkout - Turn a cart into an order and empty it
+// body: { catalogId, notes? } (notes default to the cart's); supports Idempotency-Key
+router.post('/checkout', auth, idempotency(), requireVerifiedEmail, async (req, res) => {
+  try {
+    const { catalogId, notes } = req.body;
+    if (!catalogId || !mongoose.Types.ObjectId.isValid(catalogId)) {
+      return res.status(400).json({ message: 'Catalog ID is required' });
+    }
+
+    // Take the checkout lock: a second checkout of the same cart (double tap,
+    // two devices) finds it locked and can't create a second order
+    const now = new Date();
+    const cart = await Cart.findOneAndUpdate(
+      { userId: req.user.id, catalogId, ...notCheckingOut() },
+      { $set: { checkoutLockedUntil: new Date(now.getTime() + CHECKOUT_LOCK_MS) } },
+      { new: true }
+    );
+    if (!cart) {
+      const exists = await Cart.exists({ userId: req.user.id, catalogId });
+      return exists
+        ? res.status(409).json(checkoutInProgress)
+        : res.status(400).json({ message: 'Cart is empty' });
+    }
+
+    const unlock = () => Cart.updateOne({ _id: cart._id }, { $set: { checkoutLockedUntil: null } });
+
+    if (!cart.items.length) {
+      await unlock();
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+
+    // An earlier checkout whose lock expired may have created the order
+    // without emptying the cart
+    if (cart.checkoutOrderId && await Order.exists({ _id: cart.checkoutOrderId })) {
+      await Cart.deleteOne({ _id: cart._id });
+      return res.status(409).json({ message: 'This cart was already checked out', orderId: cart.checkoutOrderId });
+    }
+
+    // Record the order's _id while still holding the lock, so only one order
+    // can ever be created from this cart
+    const orderId = cart.checkoutOrderId || new mongoose.Types.ObjectId();
+    const recorded = await Cart.updateOne(
+      { _id: cart._id, checkoutLockedUntil: cart.checkoutLockedUntil },
+      { $set: { checkoutOrderId: orderId } }
+    );
+    if (!recorded.matchedCount) {
+      return res.status(409).json(checkoutInProgress);
+    }
+
+    let order;
+    try {
+      const catalog = await loadOrderableCatalog(catalogId, req.user);
+      order = await placeOrder(req.app, req.user, {
+        catalog,
+        items: cart.items.map(item => item.toObject()),
+        notes: notes !== undefined ? notes : cart.notes,
+        orderId
+      });
+    } catch (err) {
+      // Another checkout of this cart created the order first
+      if (err.code === 11000 && err.keyPattern && err.keyPattern._id) {
+        return res.status(409).json({ message: 'This cart was already checked out', orderId });
+      }
+      await unlock();
+      return sendOrderError(res, err);
+    }
+
+    await Cart.deleteOne({ _id: cart._id });
+    console.log(`Cart ${cart._id} checked out as order ${order.orderNumber}`);
+
+    res.status(201).json(await orderCreatedResponse(order));
+  } catch (error) {
+    console.error('Error checking out cart:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /api/cart/:catalogId - Cart of the current user in a catalog, with prices estimated today
+router.get('/:catalogId', auth, async (req, res) => {
+  try {
+    let loaded;
+    try {
+      loaded = await loadCart(req);
+    } catch (err) {
+      return sendOrderError(res, err);
+    }
+
+    const cart = loaded.cart || new Cart({ userId: req.user.id, catalogId: loaded.catalog._id });
+    res.json(await cartResponse(cart, loaded.catalog));
+  } catch (error) {
+    console.error('Error fetching cart:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PUT /api/cart/:catalogId - Update the cart notes
+// body: { notes }
+router.put('/:catalogId', auth, async (req, res) => {
+  try {
+    let loaded;
+    try {
+      loaded = await loadCart(req);
+    } catch (err) {
+      return sendOrderError(res, err);
+    }
+    const { catalog } = loaded;
+    if (isCheckoutLocked(loaded.cart)) {
+      return res.status(409).json(checkoutInProgress);
+    }
+
+    const cart = loaded.cart || await openCart(req, catalog);
+    cart.notes = String(req.body.notes || '');
+    if (!await saveUnlessCheckingOut(cart)) {
+      return res.status(409).json(checkoutInProgress);
+    }
+
+    res.json(await cartResponse(cart, catalog));
+  } catch (error) {
+    console.error('Error updating cart:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /api/cart/:catalogId - Empty the cart
+router.delete('/:catalogId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.catalogId)) {
+      return res.status(404).json({ message: 'Catalog not found' });
+    }
+
+    const cart = await Cart.findOne({ userId: req.user.id, catalogId: req.params.catalogId });
+    if (cart) {
+      const { deletedCount } = await Cart.deleteOne({ _id: cart._id, ...notCheckingOut() });
+      if (!deletedCount && await Cart.exists({ _id: cart._id })) {
+        return res.status(409).json(checkoutInProgress);
+      }
+    }
+
+    res.json({ message: 'Cart emptied' });
+  } catch (error) {
+    console.error('Error emptying cart:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/cart/:catalogId/items - Add a product (merged with an identical line)
+// body: { productId, quantity = 1, variantId?, size?, height?, clasp? }
+router.post('/:catalogId/items', auth, async (req, res) => {
+  try {
+    const { productId, quantity = 1, variantId, size, height, clasp } = req.body;
+    if (!productId) {
+      return res.status(400).json({ message: 'productId is required' });
+    }
+    if (!isValidQuantity(quantity)) {
+      return res.status(400).json({ message: 'quantity must be a whole number >= 1' });
+    }
+
+    let loaded;
+    let line;
+    try {
+      loaded = await loadCart(req);
+      const item = { productId, variantId, size, height, clasp };
+      const { product, variant } = await resolveOrderLine(loaded.catalog, item);
+      line = cartLine(item, product, variant);
+    } catch (err) {
+      return sendOrderError(res, err);
+    }
+    const { catalog } = loaded;
+    if (isCheckoutLocked(loaded.cart)) {
+      return res.status(409).json(checkoutInProgress);
+    }
+
+    const cart = loaded.cart || await openCart(req, catalog);
+    const existing = cart.items.find(item => sameLine(item, line));
+    if (existing) {
+      existing.quantity += Number(quantity);
+    } else {
+      cart.items.push({ ...line, quantity: Number(quantity) });
+    }
+    if (!await saveUnlessCheckingOut(cart)) {
+      return res.status(409).json(checkoutInProgress);
+    }
+
+    res.status(201).json(await cartResponse(cart, catalog));
+  } catch (error) {
+    console.error('Error adding to cart:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PUT /api/cart/:catalogId/items/:itemId - Change the quantity or the options of a line
+// body: { quantity?, variantId?, size?, height?, clasp? }
+router.put('/:catalogId/items/:itemId', auth, async (req, res) => {
+  try {
+    const { quantity } = req.body;
+    if (quantity !== undefined && !isValidQuantity(quantity)) {
+      return res.status(400).json({ message: 'quantity must be a whole number >= 1' });
+    }
+
+    let loaded;
+    try {
+      loaded = await loadCart(req);
+    } catch (err) {
+      return sendOrderError(res, err);
+    }
+    const { catalog, cart } = loaded;
+    const current = cart && mongoose.Types.ObjectId.isValid(req.params.itemId) ? cart.items.id(req.params.itemId) : null;
+    if (!current) {
+      return res.status(404).json({ message: 'Cart item not found' });
+    }
+    if (isCheckoutLocked(cart)) {
+      return res.status(409).json(checkoutInProgress);
+    }
+
+    // Changing the options re-validates the line like a new one
+    const optionFields = ['variantId', 'size', 'height', 'clasp'];
+    if (optionFields.some(field => req.body[field] !== undefined)) {
+      const item = { productId: current.productId };
+      for (const field of optionFields) {
+        item[field] = req.body[field] !== undefined ? req.body[field] : current[field];
+      }
+      // New options replace the old variant unless one is given
+      if (req.body.variantId === undefined) item.variantId = null;
+
+      let line;
+      try {
+        const { product, variant } = await resolveOrderLine(catalog, item);
+        line = cartLine(item, product, variant);
+      } catch (err) {
+        return sendOrderError(res, err);
+      }
+      const duplicate = cart.items.find(other => other._id.toString() !== current._id.toString() && sameLine(other, line));
+      if (duplicate) {
+        return res.status(409).json({ message: 'This product is already in the cart with these options', itemId: duplicate._id });
+      }
+      current.set(line);
+    }
+    if (quantity !== undefined) current.quantity = Number(quantity);
+    if (!await saveUnlessCheckingOut(cart)) {
+      return res.status(409).json(checkoutInProgress);
+    }
+
+    res.json(await cartResponse(cart, catalog));
+  } catch (error) {
+    console.error('Error updating cart item:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /api/cart/:catalogId/items/:itemId - Remove a line
+router.delete('/:catalogId/items/:itemId', auth, async (req, res) => {
+  try {
+    let loaded;
+    try {
+      loaded = await loadCart(req);
+    } catch (err) {
+      return sendOrderError(res, err);
+    }
+    const { catalog, cart } = loaded;
+    const current = cart && mongoose.Types.ObjectId.isValid(req.params.itemId) ? cart.items.id(req.params.itemId) : null;
+    if (!current) {
+      return res.status(404).json({ message: 'Cart item not found' });
+    }
+    if (isCheckoutLocked(cart)) {
+      return res.status(409).json(checkoutInProgress);
+    }
+
+    current.deleteOne();
+    if (!await saveUnlessCheckingOut(cart)) {
+      return res.status(409).json(checkoutInProgress);
+    }
+
+    res.json(await cartResponse(cart, catalog));
+  } catch (error) {
+    console.error('Error removing cart item:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,10 @@ const Product = require('../models/Product');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
 const { auth } = require('../middlewares/auth');
+const { requirePermission, hasPermission } = require('../middlewares/permissions');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { validateProductPricing, applyProductPricing } = require('../utils/pricing');
+const { adjustStock } = require('../utils/inventory');
 
 // TEMPORARY: Update existing catalogs to be public (GET for easy testing)
 router.get('/migrate-public', async (req, res) => {
@@ -27,8 +31,9 @@ router.get('/migrate-public', async (req, res) => {
   }
 });
 
-// DEBUG: Check all catalogs in database
-router.get('/debug-all', async (req, res) => {
+// DEBUG: Check all catalogs in database (catalogs:manage-access)
+// To see what a given customer gets, use POST /api/admin/impersonate/:userId instead.
+router.get('/debug-all', auth, requirePermission('catalogs:manage-access'), async (req, res) => {
   try {
     const allCatalogs = await Catalog.find({});
 
@@ -65,8 +70,8 @@ router.get('/', auth, async (req, res) => {
 
     // Get catalogs based on user permissions
     let catalogs;
-    if (req.user.role === 'admin') {
-      // Admins can see all catalogs
+    if (hasPermission(req.user, 'catalogs:read-all')) {
+      // Admins (and staff with catalogs:read-all) can see all catalogs
       catalogs = await Catalog.find({})
         .populate({
           path: 'products',
@@ -196,8 +201,8 @@ router.get('/:id', auth, async (req, res) => {
     }
 
     // Check if user has access to this catalog
-    // Admin users have access to all catalogs
-    if (req.user.role !== 'admin' && !catalog.hasUserAccess(req.user.id)) {
+    // Admins (and staff with catalogs:read-all) have access to all catalogs
+    if (!hasPermission(req.user, 'catalogs:read-all') && !catalog.hasUserAccess(req.user.id)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -220,13 +225,9 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// POST / - Create catalog (admin only)
-router.post('/', auth, async (req, res) => {
+// POST / - Create catalog (catalogs:create)
+router.post('/', auth, requirePermission('catalogs:create'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
-
     const { name, description, allowedUserIds, isPublic } = req.body;
 
     if (!name) {
@@ -261,6 +262,14 @@ router.post('/', auth, async (req, res) => {
     await catalog.save();
     // Skip populating ownerId to support test-mode string IDs
 
+    await recordAudit(req, {
+      action: 'catalog.create',
+      targetType: 'catalog',
+      targetId: catalog._id,
+      targetLabel: catalog.name,
+      after: catalog
+    });
+
     // Transform catalog to include catalogId field for frontend compatibility
     const catalogObj = catalog.toObject();
     const transformedCatalog = {
@@ -329,14 +338,15 @@ router.put('/:id', auth, async (req, res) => {
       isAdmin: req.user.role === 'admin'
     });
 
-    // Admin users can always edit catalogs
-    if (req.user.role !== 'admin' && !catalog.canUserEdit(req.user.id, req.user.role)) {
+    // Admins (and staff with catalogs:edit) can always edit catalogs
+    if (!hasPermission(req.user, 'catalogs:edit') && !catalog.canUserEdit(req.user.id, req.user.role)) {
       console.log('Edit permission denied for user:', req.user.id, 'role:', req.user.role);
       return res.status(403).json({ message: 'Permission denied' });
     }
 
     console.log('Edit permission granted for catalog');
 
+    const before = snapshot(catalog);
     const { name, description, allowedUserIds, isPublic } = req.body;
 
     if (name) catalog.name = name;
@@ -347,6 +357,15 @@ router.put('/:id', auth, async (req, res) => {
     await catalog.save();
     // Skip populating ownerId to support test-mode string IDs
 
+    await recordAudit(req, {
+      action: 'catalog.update',
+      targetType: 'catalog',
+      targetId: catalog._id,
+      targetLabel: catalog.name,
+      before,
+      after: catalog
+    });
+
     res.json(catalog);
   } catch (error) {
     console.error('Error updating catalog:', error);
@@ -371,8 +390,8 @@ router.delete('/:id', auth, async (req, res) => {
       isAdmin: req.user.role === 'admin'
     });
 
-    // Admin users can always delete catalogs
-    if (req.user.role !== 'admin' && !catalog.canUserEdit(req.user.id, req.user.role)) {
+    // Admins (and staff with catalogs:delete) can always delete catalogs
+    if (!hasPermission(req.user, 'catalogs:delete') && !catalog.canUserEdit(req.user.id, req.user.role)) {
       console.log('Delete permission denied for user:', req.user.id, 'role:', req.user.role);
       return res.status(403).json({ message: 'Permission denied' });
     }
@@ -381,11 +400,20 @@ router.delete('/:id', auth, async (req, res) => {
 
     // Delete all products in this catalog
     const Product = require('../models/Product');
-    await Product.deleteMany({ catalogId: req.params.id });
+    const deletedProducts = await Product.deleteMany({ catalogId: req.params.id });
 
     // Delete the catalog
     await Catalog.findByIdAndDelete(req.params.id);
 
+    await recordAudit(req, {
+      action: 'catalog.delete',
+      targetType: 'catalog',
+      targetId: catalog._id,
+      targetLabel: catalog.name,
+      before: catalog,
+      metadata: { deletedProducts: deletedProducts.deletedCount }
+    });
+
     res.json({ message: 'Catalog and all its products deleted successfully' });
   } catch (error) {
     console.error('Error deleting catalog:', error);
@@ -402,7 +430,7 @@ router.post('/:id/products', auth, async (req, res) => {
       return res.status(404).json({ message: 'Catalog not found' });
     }
 
-    if (!catalog.canUserEdit(req.user.id, req.user.role)) {
+    if (!hasPermission(req.user, 'catalogs:edit') && !catalog.canUserEdit(req.user.id, req.user.role)) {
       return res.status(403).json({ message: 'Permission denied' });
     }
 
@@ -413,7 +441,8 @@ router.post('/:id/products', auth, async (req, res) => {
       serialNumber, 
       imageUrl, 
       price = 0, 
-      stock = 1, 
+      stock, 
+      lowStockThreshold,
       size,
       clasp,
       showWeight,
@@ -427,6 +456,15 @@ router.post('/:id/products', auth, async (req, res) => {
       return res.status(400).json({ message: 'Name and serial number are required' });
     }
 
+    if (stock !== undefined && stock !== null && stock !== '' && !(Number.isInteger(Number(stock)) && Number(stock) >= 0)) {
+      return res.status(400).json({ message: 'stock must be a positive integer' });
+    }
+
+    const pricingError = validateProductPricing(req.body);
+    if (pricingError) {
+      return res.status(400).json({ message: pricingError });
+    }
+
     // Create new product
     const Product = require('../models/Product');
     const product = new Product({
@@ -439,7 +477,9 @@ router.post('/:id/products', auth, async (req, res) => {
       weight: Number(req.body.weight) || 0,
       showWeight: showWeight || false,
       height: Number(height) || 0,
-      stock: Number(stock) || 1,
+      // Stock is tracked when an initial quantity is given (see utils/inventory.js)
+      trackStock: stock !== undefined && stock !== null && stock !== '',
+      lowStockThreshold: lowStockThreshold === undefined || lowStockThreshold === null ? null : Number(lowStockThreshold) || 0,
       size: size || null,
       availableSizes: availableSizes || [],
       availableHeights: availableHeights || [],
@@ -448,14 +488,32 @@ router.post('/:id/products', auth, async (req, res) => {
       catalogId: catalog._id,
       createdBy: req.user.id
     });
+    applyProductPricing(product, req.body);
 
     // Save the product
     await product.save();
 
+    // The initial quantity is logged as received goods
+    if (product.trackStock && Number(stock) > 0) {
+      const { product: stocked } = await adjustStock(req.app, product, {
+        type: 'received', quantity: Number(stock), reason: 'Initial stock', actor: req.user
+      });
+      product.stock = stocked.stock;
+    }
+
     // Add product to catalog
     catalog.products.push(product._id);
     await catalog.save();
 
+    await recordAudit(req, {
+      action: 'product.create',
+      targetType: 'product',
+      targetId: product._id,
+      targetLabel: product.name,
+      after: product,
+      metadata: { catalogId: catalog._id.toString() }
+    });
+
     // Return updated catalog with products populated
     await catalog.populate('products');
 
@@ -517,7 +575,7 @@ router.post('/:id/products', auth, async (req, res) => {
         return res.status(404).json({ message: 'Catalog not found' });
       }
 
-      if (!catalog.canUserEdit(req.user.id, req.user.role)) {
+      if (!hasPermission(req.user, 'catalogs:edit') && !catalog.canUserEdit(req.user.id, req.user.role)) {
         return res.status(403).json({ message: 'Permission denied' });
       }
 
@@ -571,6 +629,17 @@ router.post('/:id/products', auth, async (req, res) => {
           catalog.products.push(...toAdd);
           await catalog.save();
         }
+
+        await recordAudit(req, {
+          action: 'catalog.products.bulk-add',
+          targetType: 'catalog',
+          targetId: catalog._id,
+          targetLabel: catalog.name,
+          metadata: {
+            created: Array.isArray(products) ? products.length : 0,
+            productIds: addedIds.map(id => id.toString())
+          }
+        });
       }
 
       await catalog.populate('products');
@@ -602,7 +671,7 @@ router.delete('/:id/products/:productId', auth, async (req, res) => {
       return res.status(404).json({ message: 'Catalog not found' });
     }
 
-    if (!catalog.canUserEdit(req.user.id, req.user.role)) {
+    if (!hasPermission(req.user, 'catalogs:edit') && !catalog.canUserEdit(req.user.id, req.user.role)) {
       return res.status(403).json({ message: 'Permission denied' });
     }
 
@@ -610,7 +679,7 @@ router.delete('/:id/products/:productId', auth, async (req, res) => {
 
     // Delete the product from the database
     const Product = require('../models/Product');
-    await Product.findByIdAndDelete(productId);
+    const deletedProduct = await Product.findByIdAndDelete(productId);
 
     // Remove product from catalog
     catalog.products = catalog.products.filter(
@@ -618,6 +687,15 @@ router.delete('/:id/products/:productId', auth, async (req, res) => {
     );
 
     await catalog.save();
+
+    await recordAudit(req, {
+      action: 'product.delete',
+      targetType: 'product',
+      targetId: productId,
+      targetLabel: deletedProduct ? deletedProduct.name : '',
+      before: deletedProduct,
+      metadata: { catalogId: catalog._id.toString() }
+    });
     await catalog.populate('products');
 
     // Transform catalog to include catalogId field for frontend compatibility
@@ -649,8 +727,8 @@ router.put('/:id/permissions', auth, async (req, res) => {
       return res.status(404).json({ message: 'Catalog not found' });
     }
 
-    // Check if user is admin or catalog owner
-    if (req.user.role !== 'admin' && catalog.ownerId.toString() !== req.user.id) {
+    // Check if user may manage access (catalogs:manage-access) or is the catalog owner
+    if (!hasPermission(req.user, 'catalogs:manage-access') && catalog.ownerId.toString() !== req.user.id) {
       return res.status(403).json({ message: 'Not authorized to manage catalog permissions' });
     }
 
@@ -661,6 +739,8 @@ router.put('/:id/permissions', auth, async (req, res) => {
       updatedBy: req.user.email
     });
 
+    const before = snapshot({ isPublic: catalog.isPublic, allowedUserIds: catalog.allowedUserIds });
+
     // Update permissions with normalization (store string and ObjectId variants)
     if (allowedUserIds !== undefined) {
       console.log('🔧 Original allowedUserIds input:', allowedUserIds);
@@ -707,6 +787,15 @@ router.put('/:id/permissions', auth, async (req, res) => {
 
     await catalog.save();
 
+    await recordAudit(req, {
+      action: 'catalog.permissions.update',
+      targetType: 'catalog',
+      targetId: catalog._id,
+      targetLabel: catalog.name,
+      before,
+      after: { isPublic: catalog.isPublic, allowedUserIds: catalog.allowedUserIds }
+    });
+
     console.log('Catalog permissions updated successfully');
     res.json({ 
       message: 'Catalog permissions updated successfully',
@@ -740,15 +829,26 @@ router.put('/:id/reorder-products', auth, async (req, res) => {
       return res.status(404).json({ message: 'Catalog not found' });
     }
 
-    // Only admin or owner can reorder
-    if (req.user.role !== 'admin' && catalog.ownerId?.toString() !== req.user.id.toString()) {
+    // Only staff with catalogs:edit or the owner can reorder
+    if (!hasPermission(req.user, 'catalogs:edit') && catalog.ownerId?.toString() !== req.user.id.toString()) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    const before = snapshot({ products: catalog.products });
+
     // Reorder the products array
     catalog.products = productIds.map(id => mongoose.Types.ObjectId(id));
     await catalog.save();
 
+    await recordAudit(req, {
+      action: 'catalog.products.reorder',
+      targetType: 'catalog',
+      targetId: catalog._id,
+      targetLabel: catalog.name,
+      before,
+      after: { products: catalog.products }
+    });
+
     await catalog.populate('products');
 
     const catalogObj = catalog.toObject();
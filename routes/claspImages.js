@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const ClaspImage = require('../models/ClaspImage');
 const { auth, adminAuth } = require('../middlewares/auth');
+const { recordAudit } = require('../utils/audit');
 
 // GET / - Get all clasp images (any authenticated user)
 router.get('/', auth, async (req, res) => {
@@ -37,6 +38,8 @@ router.post('/', adminAuth, async (req, res) => {
       return res.status(400).json({ message: 'claspType and imageUrl are required' });
     }
 
+    const before = await ClaspImage.findOne({ claspType }).lean();
+
     // Upsert - create if not exists, update if exists
     const claspImage = await ClaspImage.findOneAndUpdate(
       { claspType },
@@ -49,6 +52,15 @@ router.post('/', adminAuth, async (req, res) => {
       { new: true, upsert: true, setDefaultsOnInsert: true }
     );
 
+    await recordAudit(req, {
+      action: before ? 'clasp-image.update' : 'clasp-image.create',
+      targetType: 'clasp-image',
+      targetId: claspImage.claspType,
+      targetLabel: claspImage.label,
+      before,
+      after: claspImage
+    });
+
     res.status(201).json(claspImage);
   } catch (error) {
     console.error('Error saving clasp image:', error);
@@ -63,6 +75,15 @@ router.delete('/:claspType', adminAuth, async (req, res) => {
     if (!claspImage) {
       return res.status(404).json({ message: 'Clasp image not found' });
     }
+
+    await recordAudit(req, {
+      action: 'clasp-image.delete',
+      targetType: 'clasp-image',
+      targetId: claspImage.claspType,
+      targetLabel: claspImage.label,
+      before: claspImage
+    });
+
     res.json({ message: 'Clasp image deleted successfully' });
   } catch (error) {
     console.error('Error deleting clasp image:', error);
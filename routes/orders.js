@@ -3,10 +3,37 @@ const router = express.Router();
 const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const Catalog = require('../models/Catalog');
-const Product = require('../models/Product');
-const Notification = require('../models/Notification');
-const User = require('../models/User');
+const OrderMessage = require('../models/OrderMessage');
 const { auth } = require('../middlewares/auth');
+const { idempotency } = require('../middlewares/idempotency');
+const { requirePermission, hasPermission } = require('../middlewares/permissions');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { notifyOrderStatusChange, notifyOrderRevision, orderRef } = require('../utils/orderNotifications');
+const { normalizeOrderNumber } = require('../utils/orderNumbers');
+const { DOCUMENT_TITLES, renderOrderPdf } = require('../utils/orderPdf');
+const { EXPORT_FORMATS, streamOrderExport } = require('../utils/orderExport');
+const { applyOrderStock, releaseOrderStock, reserveOrderStock } = require('../utils/inventory');
+const { applyOrderRevision, describeRevision } = require('../utils/orderRevision');
+const { validateMessage, deliverOrderMessage, markOrderMessagesRead } = require('../utils/orderMessages');
+const {
+  requireVerifiedEmail,
+  loadOrderableCatalog,
+  placeOrder,
+  orderCreatedResponse
+} = require('../utils/orderCreation');
+
+const { ORDER_STATUSES, ORDER_STATUS_TRANSITIONS, CUSTOMER_CANCELLABLE_STATUSES, ORDER_EDITABLE_STATUSES } = Order;
+
+// Statuses visible with orders:read-confirmed (workshop): confirmed and being made
+const WORKSHOP_STATUSES = ['confirmed', 'in_production'];
+
+// 409 body for a transition the state machine refuses
+const illegalTransition = (order, status) => ({
+  message: `Cannot change order status from "${order.status}" to "${status}"`,
+  currentStatus: order.status,
+  requestedStatus: status,
+  allowedTransitions: ORDER_STATUS_TRANSITIONS[order.status] || []
+});
 
 // Validation middleware for order creation
 const validateOrderData = (req, res, next) => {
@@ -33,155 +60,116 @@ const validateOrderData = (req, res, next) => {
 };
 
 // POST / - Create order (authenticated users)
-router.post('/', auth, validateOrderData, async (req, res) => {
+// Send an Idempotency-Key header to make retries safe: a replay returns the original order
+router.post('/', auth, idempotency(), requireVerifiedEmail, validateOrderData, async (req, res) => {
   try {
     const { catalogId, items, notes } = req.body;
 
-    // Check if catalog exists and user has access
-    const catalog = await Catalog.findById(catalogId);
-    if (!catalog) {
-      return res.status(404).json({ message: 'Catalog not found' });
-    }
-
-    if (!catalog.hasUserAccess(req.user.id)) {
-      return res.status(403).json({ message: 'Access denied to catalog' });
+    let order;
+    try {
+      const catalog = await loadOrderableCatalog(catalogId, req.user);
+      order = await placeOrder(req.app, req.user, { catalog, items, notes });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ message: err.message });
+      throw err;
     }
 
-    // Validate products and calculate total
-    let totalAmount = 0;
-    const orderItems = [];
-
-    for (const item of items) {
-      console.log('Processing item:', item);
-      const product = await Product.findById(item.productId);
-      if (!product) {
-        console.log('Product not found:', item.productId);
-        return res.status(404).json({
-          message: `Product ${item.productId} not found`
-        });
-      }
-
-      // Check if product is in the catalog (compare as strings to avoid ObjectId vs string mismatches)
-      const productIdStr = item.productId.toString();
-      const inCatalog = (catalog.products || []).some(id => id.toString() === productIdStr);
-      if (!inCatalog) {
-        console.log('Product not in catalog:', product.name);
-        return res.status(400).json({
-          message: `Product ${product.name} is not in this catalog`
-        });
-      }
-
-      const itemTotal = product.price * item.quantity;
-      console.log('Item calculation:', {
-        price: product.price,
-        quantity: item.quantity,
-        itemTotal: itemTotal
-      });
-      totalAmount += itemTotal;
+    res.status(201).json(await orderCreatedResponse(order));
+  } catch (error) {
+    console.error('Error creating order:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-      const orderItem = {
-        productId: item.productId,
-        quantity: item.quantity,
-        price: product.price || 0,
-        weight: product.weight || 0,
-        name: product.name,
-        size: item.size,
-        clasp: item.clasp,
-        height: item.height
-      };
-      orderItems.push(orderItem);
-    }
-
-    // Create order
-    const order = new Order({
-      userId: req.user.id,
-      catalogId,
-      items: orderItems,
-      totalAmount,
-      notes
-    });
+// Date filter from a query value; a bare date (YYYY-MM-DD) as upper bound means the whole day
+const parseFilterDate = (value, endOfDay = false) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date;
+};
 
-    await order.save();
-    
-    // Populate order with necessary fields
-    let query = Order.findById(order._id)
-      .populate('catalogId', 'name description')
-      .populate('items.productId', 'name imageUrl size serialNumber weight showWeight type');
-    if (mongoose.Types.ObjectId.isValid(order.userId)) {
-      query = query.populate('userId', 'name email phone');
+// Filters of the order list and export, from the query string:
+// status, userId, catalogId, number, dateFrom, dateTo.
+// Workshop staff (orders:read-confirmed only) are restricted to WORKSHOP_STATUSES.
+const parseOrderFilters = (req) => {
+  const { status, userId, catalogId, number, dateFrom, dateTo } = req.query;
+
+  const filters = {};
+  if (status) filters.status = status;
+  if (number) filters.orderNumber = normalizeOrderNumber(number);
+  // Workshop staff only ever see orders they have to make
+  if (!hasPermission(req.user, 'orders:read')) {
+    if (status && !WORKSHOP_STATUSES.includes(status)) {
+      return { error: { status: 403, message: 'Permission denied' } };
     }
-    const populatedOrder = await query;
-
-    // Ensure size is properly set in the response
-    const orderWithSizes = {
-      ...populatedOrder.toObject(),
-      items: populatedOrder.items.map(item => ({
-        ...item.toObject(),
-        // Ensure size comes from the order item first, then from the product
-        size: item.size || (item.productId?.size || '')
-      }))
-    };
+    filters.status = status || { $in: WORKSHOP_STATUSES };
+  }
+  if (userId) filters.userId = userId;
+  if (catalogId) filters.catalogId = catalogId;
+  for (const [key, value] of [['dateFrom', dateFrom], ['dateTo', dateTo]]) {
+    if (!value) continue;
+    filters[key] = parseFilterDate(value, key === 'dateTo');
+    if (!filters[key]) {
+      return { error: { status: 400, message: `Invalid ${key}: ${value}` } };
+    }
+  }
+  return { filters };
+};
 
-    // Notify all admins about the new order
-    try {
-      const admins = await User.find({ isAdmin: true }).select('_id name email');
-      const io = req.app.get('io');
-      const socketsByUser = req.app.get('socketsByUser');
-
-      for (const admin of admins) {
-        const title = 'New order received';
-        const body = `${req.user.name || req.user.email} placed a new order (#${order._id})`;
-        // persist notification for admin
-        const notif = await Notification.create({
-          user: admin._id,
-          title,
-          body,
-          data: { orderId: order._id }
-        });
+// GET /export - Order items as a spreadsheet, streamed (orders:read; workshop as for GET /)
+// query: format=csv|xlsx (default csv) and the filters of GET / (status, userId, catalogId, dateFrom, dateTo)
+router.get('/export', auth, requirePermission('orders:read', 'orders:read-confirmed'), async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
 
-        // emit to connected admin sockets if any
-        if (io && socketsByUser) {
-          const userSockets = socketsByUser.get(String(admin._id));
-          if (userSockets) {
-            for (const sid of userSockets) {
-              io.to(sid).emit('notification', {
-                id: notif._id,
-                title: notif.title,
-                body: notif.body,
-                data: notif.data,
-                createdAt: notif.createdAt
-              });
-            }
-          } else {
-            // helpful debug log when no connected sockets for this admin
-            console.log(`No connected sockets for admin ${admin._id} — notification saved to DB`);
-          }
-        }
-      }
-    } catch (err) {
-      console.error('Error notifying admins about new order:', err);
+    const { filters, error } = parseOrderFilters(req);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
     }
 
-    res.status(201).json(orderWithSizes);
+    const cursor = Order.queryWithFilters(filters)
+      .sort({ createdAt: 1 })
+      .populate('catalogId', 'name')
+      .populate('items.productId', 'name serialNumber')
+      .populate({ path: 'userId', select: 'name email phone', match: { _id: { $exists: true } } })
+      .cursor({ batchSize: 100 });
+    // Stop reading when the client goes away
+    res.on('close', () => cursor.close().catch(() => {}));
+
+    const filename = `orders-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const counts = await streamOrderExport(cursor, res, format);
+    console.log(`Orders exported (${format}) by ${req.user.email}: ${counts.orders} orders, ${counts.rows} rows`);
+
+    await recordAudit(req, {
+      action: 'order.export',
+      targetType: 'order',
+      metadata: { format, filters: req.query, ...counts }
+    });
   } catch (error) {
-    console.error('Error creating order:', error);
+    console.error('Error exporting orders:', error);
+    // Once streaming started the status can't change: cut the download short instead
+    if (res.headersSent) return res.destroy(error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// GET / - List all orders (admin only)
-router.get('/', auth, async (req, res) => {
+// GET / - List all orders (orders:read; orders:read-confirmed sees confirmed / in production orders only)
+// query: status, userId, catalogId, number (order number, e.g. ASW-2026-000123), dateFrom, dateTo, page, limit
+router.get('/', auth, requirePermission('orders:read', 'orders:read-confirmed'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
+    const { page = 1, limit = 20 } = req.query;
 
-    const { status, userId, catalogId, page = 1, limit = 20 } = req.query;
-    
-    const filters = {};
-    if (status) filters.status = status;
-    if (userId) filters.userId = userId;
-    if (catalogId) filters.catalogId = catalogId;
+    const { filters, error } = parseOrderFilters(req);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
 
     const options = { 
       page: parseInt(page), 
@@ -252,11 +240,13 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    // Check permissions - user can see their own orders, admin can see all
+    // Check permissions - user can see their own orders, staff per their permissions
     const ownerId = (order.userId && typeof order.userId === 'object')
       ? (order.userId._id || order.userId.id || order.userId).toString()
       : (order.userId ? order.userId.toString() : '');
-    if (req.user.role !== 'admin' && ownerId !== req.user.id.toString()) {
+    const canRead = hasPermission(req.user, 'orders:read')
+      || (WORKSHOP_STATUSES.includes(order.status) && hasPermission(req.user, 'orders:read-confirmed'));
+    if (!canRead && ownerId !== req.user.id.toString()) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -277,8 +267,223 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// PUT /:id/status - Update order status (admin only)
-router.put('/:id/status', auth, async (req, res) => {
+// GET /:id/history - Status history and item revisions of an order (owner or read permission)
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const order = await Order.findById(req.params.id).select('orderNumber userId status statusHistory revisions createdAt');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const canRead = hasPermission(req.user, 'orders:read')
+      || (WORKSHOP_STATUSES.includes(order.status) && hasPermission(req.user, 'orders:read-confirmed'));
+    if (!canRead && String(order.userId) !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Orders created before the history existed only know their current status
+    const history = order.statusHistory.length > 0
+      ? order.statusHistory
+      : [{ from: null, to: order.status, changedBy: null, changedByName: '', comment: '', at: order.createdAt }];
+
+    res.json({
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber || null,
+      status: order.status,
+      allowedTransitions: ORDER_STATUS_TRANSITIONS[order.status] || [],
+      history,
+      revisions: order.revisions
+    });
+  } catch (error) {
+    console.error('Error fetching order history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Who is asking about an order: its customer and/or staff allowed to read it
+const orderParticipant = (order, user) => ({
+  owner: String(order.userId) === user.id,
+  staff: hasPermission(user, 'orders:read')
+    || (WORKSHOP_STATUSES.includes(order.status) && hasPermission(user, 'orders:read-confirmed'))
+});
+
+// GET /:id/messages - Conversation about an order, oldest first (owner or read permission)
+// query: before (ISO date, for older pages), limit (default 50). Internal notes are staff only.
+router.get('/:id/messages', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const order = await Order.findById(req.params.id).select('userId status customerDeletedAt');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const { owner, staff } = orderParticipant(order, req.user);
+    if (!owner && !staff) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const filter = { orderId: order._id };
+    if (!staff) filter.internal = false;
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (Number.isNaN(before.getTime())) {
+        return res.status(400).json({ message: 'before must be a date' });
+      }
+      filter.createdAt = { $lt: before };
+    }
+
+    const messages = (await OrderMessage.find(filter).sort({ createdAt: -1 }).limit(limit)).reverse();
+    const unreadCount = await OrderMessage.countDocuments({
+      orderId: order._id,
+      ...(staff ? {} : { internal: false }),
+      'readBy.userId': { $ne: req.user.id }
+    });
+
+    res.json({
+      messages: messages.map(message => message.toPublic({ staff })),
+      unreadCount,
+      hasMore: messages.length === limit
+    });
+  } catch (error) {
+    console.error('Error fetching order messages:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /:id/messages - Write in the conversation about an order (owner or read permission)
+// body: { text?, attachments?: [imageUrl from /api/upload/image], internal? (staff only) }
+router.post('/:id/messages', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const { owner, staff } = orderParticipant(order, req.user);
+    if (!owner && !staff) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { text = '', attachments = [], internal = false } = req.body;
+    const validationError = validateMessage({ text, attachments });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    if (internal && !staff) {
+      return res.status(403).json({ message: 'Only staff can write internal notes' });
+    }
+
+    const message = await OrderMessage.create({
+      orderId: order._id,
+      senderId: req.user.id,
+      senderName: req.user.name || req.user.email || '',
+      senderRole: staff && !owner ? 'staff' : 'customer',
+      text: text.trim(),
+      attachments,
+      internal: Boolean(internal),
+      readBy: [{ userId: req.user.id, at: new Date() }]
+    });
+
+    await deliverOrderMessage(req.app, order, message);
+
+    res.status(201).json(message.toPublic({ staff }));
+  } catch (error) {
+    console.error('Error sending order message:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /:id/messages/read - Mark the conversation as read (owner or read permission)
+// body: { upTo? } (ISO date; default now)
+router.post('/:id/messages/read', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const order = await Order.findById(req.params.id).select('userId status customerDeletedAt');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const { owner, staff } = orderParticipant(order, req.user);
+    if (!owner && !staff) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const upTo = req.body && req.body.upTo ? new Date(req.body.upTo) : new Date();
+    if (Number.isNaN(upTo.getTime())) {
+      return res.status(400).json({ message: 'upTo must be a date' });
+    }
+
+    const marked = await markOrderMessagesRead(req.app, order, req.user.id, { staff, upTo });
+    res.json({ marked });
+  } catch (error) {
+    console.error('Error marking order messages read:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /:id/pdf - Order confirmation or proforma invoice as PDF (owner or read permission)
+// query: type=confirmation|proforma (default confirmation), download=true for an attachment
+router.get('/:id/pdf', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const type = req.query.type || 'confirmation';
+    if (!DOCUMENT_TITLES[type]) {
+      return res.status(400).json({ message: 'type must be one of: ' + Object.keys(DOCUMENT_TITLES).join(', ') });
+    }
+
+    const order = await Order.findById(req.params.id)
+      .populate('catalogId', 'name')
+      .populate('items.productId', 'name imageUrl serialNumber');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const canRead = hasPermission(req.user, 'orders:read')
+      || (WORKSHOP_STATUSES.includes(order.status) && hasPermission(req.user, 'orders:read-confirmed'));
+    if (!canRead && String(order.userId) !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Populated after the ownership check (orders of deleted accounts keep a dangling id)
+    if (mongoose.Types.ObjectId.isValid(order.userId)) {
+      await order.populate('userId', 'name email phone');
+    }
+
+    const pdf = await renderOrderPdf(order, { type });
+    const filename = `${order.orderNumber || order._id.toString()}${type === 'proforma' ? '-proforma' : ''}.pdf`;
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"`);
+    res.setHeader('Content-Length', pdf.length);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error generating order PDF:', error);
+    res.status(500).json({ message: 'Server error generating PDF' });
+  }
+});
+
+// PUT /:id/status - Update order status (orders:update-status)
+// body: { status, comment? }
+router.put('/:id/status', auth, requirePermission('orders:update-status'), async (req, res) => {
   try {
     console.log('=== STATUS UPDATE REQUEST ===');
     console.log('Request body:', req.body);
@@ -287,25 +492,16 @@ router.put('/:id/status', auth, async (req, res) => {
     console.log('Request body type:', typeof req.body);
     console.log('Request content-type:', req.headers['content-type']);
 
-    if (req.user.role !== 'admin') {
-      console.log('Access denied - user role:', req.user.role);
-      return res.status(403).json({ message: 'Admin access required' });
-    }
-
-    const { status } = req.body;
+    const { status, comment } = req.body;
     console.log('Destructured status:', status);
     console.log('Status type:', typeof status);
 
-    const validStatuses = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'];
-    console.log('Valid statuses:', validStatuses);
-    console.log('Status in valid statuses:', validStatuses.includes(status));
-
-    if (!status || !validStatuses.includes(status)) {
+    if (!status || !ORDER_STATUSES.includes(status)) {
       console.log('Invalid status validation failed');
       return res.status(400).json({
         message: 'Valid status is required',
         receivedStatus: status,
-        validStatuses
+        validStatuses: ORDER_STATUSES
       });
     }
 
@@ -317,18 +513,51 @@ router.put('/:id/status', auth, async (req, res) => {
     }
 
     console.log('Current order status:', order.status);
-    order.status = status;
-    console.log('Updated order status to:', order.status);
+    if (!order.canTransitionTo(status)) {
+      console.log('Illegal status transition:', order.status, '->', status);
+      return res.status(409).json(illegalTransition(order, status));
+    }
+
+    // Switch the status first, so two concurrent updates can't both move stock
+    const previousStatus = order.status;
+    const updated = await order.claimTransition(status, { actor: req.user, comment });
+    if (!updated) {
+      return res.status(409).json({ message: 'The order status was changed meanwhile, please reload it' });
+    }
+    console.log('Updated order status to:', updated.status);
 
-    await order.save();
+    // Reserve stock on confirmation, consume it on shipping, release it on cancellation
+    try {
+      await applyOrderStock(req.app, updated, status, { actor: req.user, reason: comment });
+      await updated.save();
+    } catch (err) {
+      // Don't keep stock reserved for an order that isn't confirmed
+      if (status === 'confirmed') {
+        await releaseOrderStock(updated, { actor: req.user, reason: 'Order confirmation failed' });
+        await updated.revertTransition();
+      }
+      if (err.status) return res.status(err.status).json({ message: err.message, shortages: err.shortages });
+      throw err;
+    }
     console.log('Order saved successfully');
 
-    await order.populate('userId', 'name email phone');
-    await order.populate('catalogId', 'name description');
-    await order.populate('items.productId', 'name imageUrl size serialNumber weight showWeight type');
+    await recordAudit(req, {
+      action: 'order.status.update',
+      targetType: 'order',
+      targetId: updated._id,
+      targetLabel: orderRef(updated),
+      before: { status: previousStatus },
+      after: { status: updated.status }
+    });
+
+    await notifyOrderStatusChange(req.app, updated, { comment });
+
+    await updated.populate('userId', 'name email phone');
+    await updated.populate('catalogId', 'name description');
+    await updated.populate('items.productId', 'name imageUrl size serialNumber weight showWeight type');
 
     console.log('Order populated and ready to return');
-    res.json(order);
+    res.json(updated);
   } catch (error) {
     console.error('=== STATUS UPDATE ERROR ===');
     res.status(500).json({
@@ -339,56 +568,219 @@ router.put('/:id/status', auth, async (req, res) => {
   }
 });
 
-// PUT /:id/cancel - Cancel order (authenticated users)
+// PUT /:id/cancel - Cancel order (owner before production, or orders:update-status)
+// body: { comment? }
 router.put('/:id/cancel', auth, async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id)
-      .populate('userId', 'name email phone')
-      .populate('catalogId', 'name description')
-      .populate('items.productId', 'name imageUrl size serialNumber weight showWeight type');
+    const order = await Order.findById(req.params.id);
 
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    // Check permissions - user can cancel their own orders, admin can cancel any order
-    if (req.user.role !== 'admin' && order.userId._id.toString() !== req.user.id) {
+    // Check permissions - user can cancel their own orders, staff with orders:update-status any order
+    // (userId is compared unpopulated: orders of deleted accounts keep a dangling id)
+    const isStaff = hasPermission(req.user, 'orders:update-status');
+    if (!isStaff && String(order.userId) !== req.user.id) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Check if order can be cancelled
-    if (order.status === 'delivered') {
-      return res.status(400).json({ message: 'Delivered orders cannot be cancelled' });
+    // Cancellation goes through the same state machine as status updates
+    if (!order.canTransitionTo('cancelled')) {
+      return res.status(409).json(illegalTransition(order, 'cancelled'));
+    }
+    if (!isStaff && !CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        message: 'This order is already in production and can no longer be cancelled. Please contact us.',
+        currentStatus: order.status
+      });
     }
 
-    if (order.status === 'cancelled') {
-      return res.status(400).json({ message: 'Order is already cancelled' });
+    // Switch the status first, so two concurrent cancellations can't both release stock
+    const previousStatus = order.status;
+    const cancelled = await order.claimTransition('cancelled', { actor: req.user, comment: req.body && req.body.comment });
+    if (!cancelled) {
+      return res.status(409).json({ message: 'The order status was changed meanwhile, please reload it' });
     }
 
-    // Update order status to cancelled
-    order.status = 'cancelled';
-    order.updatedAt = new Date();
-    await order.save();
+    await releaseOrderStock(cancelled, { actor: req.user, reason: 'Order cancelled' });
+    await cancelled.save();
+
+    await recordAudit(req, {
+      action: 'order.cancel',
+      targetType: 'order',
+      targetId: cancelled._id,
+      targetLabel: orderRef(cancelled),
+      before: { status: previousStatus },
+      after: { status: cancelled.status },
+      metadata: { byCustomer: String(cancelled.userId) === req.user.id }
+    });
 
-    console.log(`Order ${order._id} cancelled by user ${req.user.email}`);
+    // Customers who cancel themselves don't need to be told
+    if (String(cancelled.userId) !== req.user.id) {
+      await notifyOrderStatusChange(req.app, cancelled, { comment: req.body && req.body.comment });
+    }
 
-    res.json(order);
+    console.log(`Order ${cancelled._id} cancelled by user ${req.user.email}`);
+
+    await cancelled.populate('userId', 'name email phone');
+    await cancelled.populate('catalogId', 'name description');
+    await cancelled.populate('items.productId', 'name imageUrl size serialNumber weight showWeight type');
+
+    res.json(cancelled);
   } catch (error) {
     console.error('Error cancelling order:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// DELETE /:id - Hard delete order (admin only)
-router.delete('/:id', auth, async (req, res) => {
+// PATCH /:id - Change the items of an order before production (orders:edit)
+// body: { add?: [{ productId, quantity, variantId?, size?, height?, clasp? }],
+//         update?: [{ itemId, quantity?, variantId?, size?, height?, clasp? }],
+//         remove?: [itemId], comment? }
+router.patch('/:id', auth, requirePermission('orders:edit'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Order not found' });
     }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    if (!ORDER_EDITABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        message: `Orders can only be changed while ${ORDER_EDITABLE_STATUSES.join(' or ')}`,
+        currentStatus: order.status
+      });
+    }
+
+    const catalog = await Catalog.findById(order.catalogId);
+    if (!catalog) {
+      return res.status(409).json({ message: 'The catalog of this order no longer exists' });
+    }
+
+    // Claim the order before moving its stock: a concurrent edit or status
+    // change gets 409 instead of being overwritten
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.status, updatedAt: order.updatedAt },
+      { $set: { updatedAt: new Date() } },
+      { new: true, projection: { updatedAt: 1 } }
+    );
+    if (!claimed) {
+      return res.status(409).json({ message: 'The order was changed meanwhile, reload it and try again' });
+    }
+
+    const before = snapshot({ items: order.items, totalAmount: order.totalAmount });
+    // Plain copies: applyOrderRevision changes the item subdocuments in place
+    const reservations = order.items
+      .filter(item => item.reservedQuantity > 0)
+      .map(item => ({
+        _id: item._id,
+        productId: item.productId,
+        variantId: item.variantId,
+        name: item.name,
+        quantity: item.reservedQuantity,
+        reservedQuantity: item.reservedQuantity
+      }));
+    const { comment = '' } = req.body;
+
+    let changes;
+    try {
+      changes = await applyOrderRevision(order, catalog, req.body);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ message: err.message });
+      throw err;
+    }
+
+    // Confirmed orders hold stock: reserve it again for the new items
+    if (reservations.length) {
+      await releaseOrderStock({ _id: order._id, items: reservations }, { actor: req.user, reason: 'Order revised' });
+      order.items.forEach(item => { item.reservedQuantity = 0; });
+      try {
+        await reserveOrderStock(req.app, order, { actor: req.user });
+      } catch (err) {
+        if (!err.status) throw err;
+        // Put the original reservation back; the order is unchanged
+        const original = { _id: order._id, items: reservations.map(item => ({ ...item, reservedQuantity: 0 })) };
+        try {
+          await reserveOrderStock(req.app, original, { actor: req.user });
+        } catch (restoreError) {
+          if (!restoreError.status) throw restoreError;
+          // The freed stock was taken meanwhile: the order no longer holds any
+          await Order.updateOne({ _id: order._id }, { $set: { 'items.$[].reservedQuantity': 0 } });
+          console.error(`Stock reservation of order ${order._id} lost while revising it:`, restoreError.message);
+          return res.status(409).json({
+            message: `${err.message}. The order was not changed, but its stock could not be reserved again: ${restoreError.message}`,
+            shortages: [...(err.shortages || []), ...(restoreError.shortages || [])],
+            stockReserved: false
+          });
+        }
+        return res.status(err.status).json({ message: err.message, shortages: err.shortages });
+      }
+    }
+
+    order.recordRevision(changes, { actor: req.user, comment, totalBefore: before.totalAmount });
+    order.$where = { status: order.status, updatedAt: claimed.updatedAt };
+    try {
+      await order.save();
+    } catch (err) {
+      if (err.name !== 'DocumentNotFoundError' && err.name !== 'VersionError') throw err;
+      // Changed since the claim: give the stock back as the stored order has it
+      if (reservations.length) {
+        await releaseOrderStock(order, { actor: req.user, reason: 'Order revision conflict' });
+        const original = { _id: order._id, items: reservations.map(item => ({ ...item, reservedQuantity: 0 })) };
+        await reserveOrderStock(req.app, original, { actor: req.user }).catch(restoreError => {
+          if (!restoreError.status) throw restoreError;
+          console.error(`Stock reservation of order ${order._id} lost while revising it:`, restoreError.message);
+        });
+      }
+      return res.status(409).json({ message: 'The order was changed meanwhile, reload it and try again' });
+    }
+
+    await recordAudit(req, {
+      action: 'order.update',
+      targetType: 'order',
+      targetId: order._id,
+      targetLabel: orderRef(order),
+      before,
+      after: { items: order.items, totalAmount: order.totalAmount },
+      metadata: { changes, comment }
+    });
+
+    await notifyOrderRevision(req.app, order, { summary: describeRevision(changes), comment });
+
+    await order.populate('userId', 'name email phone');
+    await order.populate('catalogId', 'name description');
+    await order.populate('items.productId', 'name imageUrl size serialNumber weight showWeight type');
+
+    res.json(order);
+  } catch (error) {
+    console.error('Error updating order:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /:id - Hard delete order (orders:delete)
+router.delete('/:id', auth, requirePermission('orders:delete'), async (req, res) => {
+  try {
     const order = await Order.findByIdAndDelete(req.params.id);
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
+
+    // Stock held for the order is no longer needed
+    await releaseOrderStock(order, { actor: req.user, reason: 'Order deleted' });
+    await OrderMessage.deleteMany({ orderId: order._id });
+
+    await recordAudit(req, {
+      action: 'order.delete',
+      targetType: 'order',
+      targetId: order._id,
+      targetLabel: orderRef(order),
+      before: order
+    });
+
     res.json({ success: true, message: 'Order deleted successfully', order });
   } catch (error) {
     console.error('Error deleting order:', error);
@@ -3,6 +3,9 @@ const { body, validationResult } = require('express-validator');
 const Product = require('../models/Product');
 const User = require('../models/User');
 const { auth, adminAuth } = require('../middlewares/auth');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { validateProductPricing, applyProductPricing } = require('../utils/pricing');
+const { validateVariants, seedOptions, missingVariants } = require('../utils/variants');
 
 const router = express.Router();
 
@@ -83,6 +86,11 @@ router.post('/', adminAuth, [
 
     const { name, description, price, image, category, accessibleTo } = req.body;
 
+    const pricingError = validateProductPricing(req.body);
+    if (pricingError) {
+      return res.status(400).json({ message: pricingError });
+    }
+
     const product = new Product({
       name,
       description,
@@ -92,8 +100,18 @@ router.post('/', adminAuth, [
       createdBy: req.user._id,
       accessibleTo: accessibleTo || []
     });
+    applyProductPricing(product, req.body);
 
     await product.save();
+
+    await recordAudit(req, {
+      action: 'product.create',
+      targetType: 'product',
+      targetId: product._id,
+      targetLabel: product.name,
+      after: product
+    });
+
     res.status(201).json(product);
   } catch (error) {
     console.error(error);
@@ -106,14 +124,32 @@ router.put('/:id', adminAuth, async (req, res) => {
   try {
     const { 
       name, description, price, image, imageUrl, category, accessibleTo, isActive,
-      weight, showWeight, height, type, size, clasp, serialNumber, relatedProducts, availableSizes, availableHeights 
+      weight, showWeight, height, type, size, clasp, serialNumber, relatedProducts, availableSizes, availableHeights,
+      trackStock, lowStockThreshold
     } = req.body;
 
+    if (lowStockThreshold !== undefined && lowStockThreshold !== null && !(Number(lowStockThreshold) >= 0)) {
+      return res.status(400).json({ message: 'lowStockThreshold must be a positive number or null' });
+    }
+
+    const pricingError = validateProductPricing(req.body);
+    if (pricingError) {
+      return res.status(400).json({ message: pricingError });
+    }
+
     const product = await Product.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
+    // Stock held for confirmed orders must be released before tracking stops
+    const hasReservations = product.reservedStock > 0 || product.variants.some(v => v.reservedStock > 0);
+    if (trackStock === false && product.trackStock && hasReservations) {
+      return res.status(409).json({ message: 'Stock is reserved for confirmed orders, tracking can\'t be turned off' });
+    }
+
+    const before = snapshot(product);
+
     if (name) product.name = name;
     if (description !== undefined) product.description = description;
     if (price !== undefined) product.price = price;
@@ -132,8 +168,21 @@ router.put('/:id', adminAuth, async (req, res) => {
     if (relatedProducts !== undefined) product.relatedProducts = relatedProducts;
     if (availableSizes !== undefined) product.availableSizes = availableSizes;
     if (availableHeights !== undefined) product.availableHeights = availableHeights;
+    if (trackStock !== undefined) product.trackStock = Boolean(trackStock);
+    if (lowStockThreshold !== undefined) product.lowStockThreshold = lowStockThreshold === null ? null : Number(lowStockThreshold);
+    applyProductPricing(product, req.body);
 
     await product.save();
+
+    await recordAudit(req, {
+      action: 'product.update',
+      targetType: 'product',
+      targetId: product._id,
+      targetLabel: product.name,
+      before,
+      after: product
+    });
+
     res.json(product);
   } catch (error) {
     console.error(error);
@@ -150,6 +199,15 @@ router.delete('/:id', adminAuth, async (req, res) => {
     }
 
     await Product.findByIdAndDelete(req.params.id);
+
+    await recordAudit(req, {
+      action: 'product.delete',
+      targetType: 'product',
+      targetId: product._id,
+      targetLabel: product.name,
+      before: product
+    });
+
     res.json({ message: 'Product deleted successfully' });
   } catch (error) {
     console.error(error);
@@ -157,6 +215,130 @@ router.delete('/:id', adminAuth, async (req, res) => {
   }
 });
 
+// PUT /api/products/:id/variants - replace the variants of a product (admin)
+router.put('/:id/variants', adminAuth, async (req, res) => {
+  try {
+    const { variants, error } = validateVariants(req.body.variants);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    // Stock levels only change through stock movements: the variants are updated
+    // in place, never written back with the levels read here
+    const removed = product.variants.filter(v => !variants.some(n => n._id && String(n._id) === String(v._id)));
+    const stocked = removed.find(v => v.stock > 0 || v.reservedStock > 0);
+    if (stocked) {
+      return res.status(409).json({ message: `Variant ${product.variantSku(stocked)} still has stock and can't be removed` });
+    }
+
+    const before = snapshot({ variants: product.variants });
+
+    if (removed.length) {
+      const removedIds = removed.map(v => v._id);
+      const pulled = await Product.findOneAndUpdate(
+        { _id: product._id },
+        { $pull: { variants: { _id: { $in: removedIds }, stock: 0, reservedStock: 0 } } },
+        { new: true }
+      );
+      const kept = pulled && pulled.variants.find(v => removedIds.some(id => String(id) === String(v._id)));
+      if (kept) {
+        return res.status(409).json({ message: `Variant ${pulled.variantSku(kept)} still has stock and can't be removed` });
+      }
+    }
+
+    const existing = variants.filter(v => v._id && product.variants.id(v._id));
+    const set = { updatedAt: new Date() };
+    existing.forEach((variant, index) => {
+      for (const field of ['size', 'height', 'clasp', 'skuSuffix', 'weight', 'priceAdjustment', 'isAvailable']) {
+        set[`variants.$[v${index}].${field}`] = variant[field];
+      }
+    });
+    await Product.updateOne(
+      { _id: product._id },
+      { $set: set },
+      existing.length
+        ? { arrayFilters: existing.map((variant, index) => ({ [`v${index}._id`]: variant._id })), runValidators: true }
+        : {}
+    );
+
+    const added = variants.filter(v => !existing.includes(v));
+    if (added.length) {
+      await Product.updateOne(
+        { _id: product._id },
+        { $push: { variants: { $each: added.map(v => ({ ...v, stock: 0, reservedStock: 0 })) } } },
+        { runValidators: true }
+      );
+    }
+
+    const updated = await Product.findById(product._id);
+
+    await recordAudit(req, {
+      action: 'product.variants.update',
+      targetType: 'product',
+      targetId: product._id,
+      targetLabel: product.name,
+      before,
+      after: { variants: updated.variants }
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/products/:id/variants/seed - add the missing size x height x clasp combinations (admin)
+// Body (all optional): { sizes: [], heights: [], clasps: [] | 'all' }; sizes and heights
+// default to the product's own lists, then to the SizePreset of its type
+router.post('/:id/variants/seed', adminAuth, async (req, res) => {
+  try {
+    const { sizes, heights, clasps } = req.body || {};
+    for (const [field, value] of Object.entries({ sizes, heights })) {
+      if (value !== undefined && !Array.isArray(value)) {
+        return res.status(400).json({ message: `${field} must be an array` });
+      }
+    }
+    if (clasps !== undefined && clasps !== 'all' && !Array.isArray(clasps)) {
+      return res.status(400).json({ message: "clasps must be an array or 'all'" });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const options = await seedOptions(product, { sizes, heights, clasps });
+    if (options.error) {
+      return res.status(400).json({ message: options.error });
+    }
+
+    const added = missingVariants(product, options);
+    if (added.length) {
+      product.variants.push(...added);
+      await product.save();
+
+      await recordAudit(req, {
+        action: 'product.variants.seed',
+        targetType: 'product',
+        targetId: product._id,
+        targetLabel: product.name,
+        metadata: { sizes: options.sizes, heights: options.heights, clasps: options.clasps, added: added.length }
+      });
+    }
+
+    res.json({ added: added.length, options, product });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Assign products to users (Admin only)
 router.post('/:id/assign', adminAuth, [
   body('userIds').isArray()
@@ -180,9 +362,19 @@ router.post('/:id/assign', adminAuth, [
       return res.status(400).json({ message: 'Some users not found' });
     }
 
+    const before = snapshot({ accessibleTo: product.accessibleTo });
     product.accessibleTo = userIds;
     await product.save();
 
+    await recordAudit(req, {
+      action: 'product.assign',
+      targetType: 'product',
+      targetId: product._id,
+      targetLabel: product.name,
+      before,
+      after: { accessibleTo: product.accessibleTo }
+    });
+
     res.json(product);
   } catch (error) {
     console.error(error);
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const SizePreset = require('../models/SizePreset');
 const { auth, adminAuth } = require('../middlewares/auth');
+const { recordAudit } = require('../utils/audit');
 
 // GET /api/size-presets — get all presets (admin + used by create/edit forms)
 router.get('/', auth, async (req, res) => {
@@ -32,6 +33,7 @@ router.put('/:type', adminAuth, async (req, res) => {
     }
 
     const { availableSizes, availableHeights } = req.body;
+    const before = await SizePreset.findOne({ type }).lean();
 
     const preset = await SizePreset.findOneAndUpdate(
       { type },
@@ -43,6 +45,15 @@ router.put('/:type', adminAuth, async (req, res) => {
       { upsert: true, new: true, setDefaultsOnInsert: true }
     );
 
+    await recordAudit(req, {
+      action: 'size-preset.update',
+      targetType: 'size-preset',
+      targetId: type,
+      targetLabel: type,
+      before,
+      after: preset
+    });
+
     res.json(preset);
   } catch (error) {
     console.error('Error updating size preset:', error);
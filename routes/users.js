@@ -1,19 +1,39 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
 const { auth } = require('../middlewares/auth');
+const { requirePermission, hasPermission, BUILT_IN_ROLES } = require('../middlewares/permissions');
+const Role = require('../models/Role');
+const { validatePassword } = require('../utils/passwordPolicy');
+const { ACCOUNT_DELETION_GRACE_DAYS, deleteUserAccount, buildUserExport } = require('../utils/accountData');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { sendEmailVerification } = require('../utils/emailVerification');
 
 const router = express.Router();
 
+// Check that the current user may give `role` to someone.
+// Returns an error { status, message } or null when allowed.
+const checkRoleAssignment = async (actor, role) => {
+  if (!role || role === 'user') return null;
+  if (!hasPermission(actor, 'roles:manage')) {
+    return { status: 403, message: 'Permission denied. Assigning roles requires roles:manage.' };
+  }
+  if (role === 'admin') {
+    return actor.isAdmin ? null : { status: 403, message: 'Only admins can grant the admin role' };
+  }
+  if (!BUILT_IN_ROLES[role] && !(await Role.exists({ name: role }))) {
+    return { status: 400, message: `Unknown role: ${role}` };
+  }
+  return null;
+};
+
 const Notification = require('../models/Notification');
 
-// GET /users - Get all users (admin only)
-router.get('/', auth, async (req, res) => {
+// GET /users - Get all users (users:read)
+router.get('/', auth, requirePermission('users:read'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
-    }
-
     const users = await User.find({}, '-password'); // Exclude password field
     
     const transformedUsers = users.map(user => ({
@@ -21,7 +41,7 @@ router.get('/', auth, async (req, res) => {
       name: user.name,
       email: user.email,
       isAdmin: user.isAdmin,
-      role: user.isAdmin ? 'admin' : 'user',
+      role: user.isAdmin ? 'admin' : (user.role || 'user'),
       isActive: user.isActive !== false, // Default to true if not set
       createdAt: user.createdAt || new Date().toISOString()
     }));
@@ -33,14 +53,162 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-// POST /users - Create new user (admin only)
-router.post('/', auth, async (req, res) => {
+// Self-service routes on /me must be registered before the /:id routes
+
+// DELETE /users/me - Request deletion of own account (password confirmation required)
+// Sessions are revoked right away; the account is purged after the grace period.
+router.delete('/me', auth, async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    if (!password) {
+      return res.status(400).json({ message: 'Password is required to delete your account' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Invalid password' });
+    }
+
+    await recordAudit(req, {
+      action: 'user.deletion.request',
+      targetType: 'user',
+      targetId: user._id,
+      targetLabel: user.email,
+      metadata: { graceDays: ACCOUNT_DELETION_GRACE_DAYS }
+    });
+
+    if (ACCOUNT_DELETION_GRACE_DAYS <= 0) {
+      await deleteUserAccount(user._id);
+      return res.json({ message: 'Account deleted', deletionScheduledFor: null });
+    }
+
+    if (!user.deletionScheduledFor) {
+      user.deletionRequestedAt = new Date();
+      user.deletionScheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    }
+    // Stop pushes right away, the tokens would be dropped with the account anyway
+    user.expoPushTokens = [];
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'account-deletion');
+
+    console.log('🗑️ Account deletion requested:', user.email, 'scheduled for', user.deletionScheduledFor.toISOString());
+    res.json({
+      message: `Your account will be deleted on ${user.deletionScheduledFor.toISOString()}. Log in and cancel before then to keep it.`,
+      deletionScheduledFor: user.deletionScheduledFor
+    });
+  } catch (error) {
+    console.error('Error requesting account deletion:', error);
+    res.status(500).json({ message: 'Server error requesting account deletion' });
+  }
+});
+
+// POST /users/me/cancel-deletion - Keep own account during the grace period
+router.post('/me/cancel-deletion', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({ message: 'No account deletion is pending' });
+    }
+
+    user.deletionRequestedAt = null;
+    user.deletionScheduledFor = null;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.deletion.cancel',
+      targetType: 'user',
+      targetId: user._id,
+      targetLabel: user.email
+    });
+
+    console.log('Account deletion cancelled:', user.email);
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    res.status(500).json({ message: 'Server error cancelling account deletion' });
+  }
+});
+
+// GET /users/me/export - Download own personal data as JSON
+router.get('/me/export', auth, async (req, res) => {
   try {
-    // Check if user is admin
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
+    const archive = await buildUserExport(req.user.id);
+    if (!archive) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
+    const date = archive.exportedAt.slice(0, 10);
+    res.setHeader('Content-Disposition', `attachment; filename="account-data-${date}.json"`);
+    res.json(archive);
+  } catch (error) {
+    console.error('Error exporting user data:', error);
+    res.status(500).json({ message: 'Server error exporting data' });
+  }
+});
+
+// GET /users/locked - List accounts locked after failed logins (users:manage)
+router.get('/locked', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const records = await LoginThrottle.find({ type: 'email', lockedUntil: { $gt: new Date() } })
+      .populate('userId', 'name email')
+      .sort({ lockedUntil: -1 });
+
+    res.json(records.map(record => ({
+      email: record.key,
+      userId: record.userId ? record.userId._id.toString() : null,
+      name: record.userId ? record.userId.name : null,
+      failures: record.failures,
+      lastFailureAt: record.lastFailureAt,
+      lockedUntil: record.lockedUntil,
+      lockCount: record.lockCount
+    })));
+  } catch (error) {
+    console.error('Error fetching locked accounts:', error);
+    res.status(500).json({ message: 'Server error fetching locked accounts' });
+  }
+});
+
+// POST /users/:id/unlock - Clear a login lockout (users:manage)
+router.post('/:id/unlock', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await LoginThrottle.deleteOne({ type: 'email', key: user.email });
+
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetType: 'user',
+      targetId: user._id,
+      targetLabel: user.email
+    });
+
+    console.log('Login lockout cleared for:', user.email, 'by', req.user.email);
+    res.json({ message: 'Account unlocked successfully' });
+  } catch (error) {
+    console.error('Error unlocking account:', error);
+    res.status(500).json({ message: 'Server error unlocking account' });
+  }
+});
+
+// POST /users - Create new user (users:manage)
+router.post('/', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
     const { name, email, password, role } = req.body;
 
     // Validate required fields
@@ -48,6 +216,16 @@ router.post('/', auth, async (req, res) => {
       return res.status(400).json({ message: 'Name, email, and password are required' });
     }
 
+    const passwordErrors = await validatePassword(password, { email });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: passwordErrors[0], errors: passwordErrors });
+    }
+
+    const roleError = await checkRoleAssignment(req.user, role);
+    if (roleError) {
+      return res.status(roleError.status).json({ message: roleError.message });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email: email.toLowerCase() });
     if (existingUser) {
@@ -60,19 +238,28 @@ router.post('/', auth, async (req, res) => {
       email: email.toLowerCase().trim(),
       password: password, // Don't hash here - let the User model handle it
       isAdmin: role === 'admin',
+      role: role || 'user',
       isActive: true,
       createdAt: new Date()
     });
 
     await newUser.save();
 
+    await recordAudit(req, {
+      action: 'user.create',
+      targetType: 'user',
+      targetId: newUser._id,
+      targetLabel: newUser.email,
+      after: newUser
+    });
+
     // Return user without password
     const userResponse = {
       id: newUser._id.toString(),
       name: newUser.name,
       email: newUser.email,
       isAdmin: newUser.isAdmin,
-      role: newUser.isAdmin ? 'admin' : 'user',
+      role: newUser.role,
       isActive: newUser.isActive,
       createdAt: newUser.createdAt
     };
@@ -90,14 +277,9 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
-// PUT /users/:id - Update user (admin only)
-router.put('/:id', auth, async (req, res) => {
+// PUT /users/:id - Update user (users:manage)
+router.put('/:id', auth, requirePermission('users:manage'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
-    }
-
     const { name, email, role, isActive } = req.body;
     const userId = req.params.id;
 
@@ -107,6 +289,17 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (user.isAdmin && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only admins can modify admin accounts' });
+    }
+
+    if (role !== undefined && role !== user.role) {
+      const roleError = await checkRoleAssignment(req.user, role);
+      if (roleError) {
+        return res.status(roleError.status).json({ message: roleError.message });
+      }
+    }
+
     // Check if email is being changed and if it already exists
     if (email && email.toLowerCase() !== user.email) {
       const existingUser = await User.findOne({ 
@@ -118,21 +311,51 @@ router.put('/:id', auth, async (req, res) => {
       }
     }
 
+    const before = snapshot(user);
+
     // Update user fields
     if (name) user.name = name.trim();
     if (email) user.email = email.toLowerCase().trim();
-    if (role !== undefined) user.isAdmin = role === 'admin';
+    if (role !== undefined) {
+      user.isAdmin = role === 'admin';
+      user.role = role || 'user';
+    }
     if (isActive !== undefined) user.isActive = isActive;
 
+    const emailChanged = user.isModified('email');
+    const deactivated = user.isModified('isActive') && user.isActive === false;
     await user.save();
 
+    // A deactivated account must not keep using the tokens it already has
+    if (deactivated) {
+      await Session.revokeAllForUser(user._id, 'account_deactivated');
+    }
+
+    // The new address must be verified again
+    if (emailChanged) {
+      try {
+        await sendEmailVerification(user);
+      } catch (err) {
+        console.error('Failed to send verification email to', user.email);
+      }
+    }
+
+    await recordAudit(req, {
+      action: 'user.update',
+      targetType: 'user',
+      targetId: user._id,
+      targetLabel: user.email,
+      before,
+      after: user
+    });
+
     // Return updated user without password
     const userResponse = {
       id: user._id.toString(),
       name: user.name,
       email: user.email,
       isAdmin: user.isAdmin,
-      role: user.isAdmin ? 'admin' : 'user',
+      role: user.isAdmin ? 'admin' : (user.role || 'user'),
       isActive: user.isActive,
       createdAt: user.createdAt
     };
@@ -145,14 +368,9 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
-// DELETE /users/:id - Delete user (admin only)
-router.delete('/:id', auth, async (req, res) => {
+// DELETE /users/:id - Delete user (users:delete)
+router.delete('/:id', auth, requirePermission('users:delete'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
-    }
-
     const userId = req.params.id;
 
     // Prevent admin from deleting themselves
@@ -166,7 +384,22 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    await User.findByIdAndDelete(userId);
+    if (user.isAdmin && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only admins can delete admin accounts' });
+    }
+
+    // Recorded first and without a snapshot: the deletion scrubs the user's
+    // email from the audit trail
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: user._id,
+      targetLabel: user.email,
+      metadata: { role: user.role || 'user' }
+    });
+
+    // Orders are anonymized, personal data (wishlist, notifications, sessions...) removed
+    await deleteUserAccount(userId);
 
     console.log('User deleted successfully:', user.email);
     res.json({ message: 'User deleted successfully' });
@@ -176,14 +409,9 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// PATCH /users/:id/status - Toggle user active status (admin only)
-router.patch('/:id/status', auth, async (req, res) => {
+// PATCH /users/:id/status - Toggle user active status (users:manage)
+router.patch('/:id/status', auth, requirePermission('users:manage'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
-    }
-
     const userId = req.params.id;
 
     // Prevent admin from deactivating themselves
@@ -197,17 +425,35 @@ router.patch('/:id/status', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (user.isAdmin && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only admins can modify admin accounts' });
+    }
+
     // Toggle active status
     user.isActive = !user.isActive;
     await user.save();
 
+    // A deactivated account must not keep using the tokens it already has
+    if (user.isActive === false) {
+      await Session.revokeAllForUser(user._id, 'account_deactivated');
+    }
+
+    await recordAudit(req, {
+      action: 'user.status.update',
+      targetType: 'user',
+      targetId: user._id,
+      targetLabel: user.email,
+      before: { isActive: !user.isActive },
+      after: { isActive: user.isActive }
+    });
+
     // Return updated user without password
     const userResponse = {
       id: user._id.toString(),
       name: user.name,
       email: user.email,
       isAdmin: user.isAdmin,
-      role: user.isAdmin ? 'admin' : 'user',
+      role: user.isAdmin ? 'admin' : (user.role || 'user'),
       isActive: user.isActive,
       createdAt: user.createdAt
     };
@@ -233,11 +479,11 @@ router.put('/:id/profile', auth, async (req, res) => {
       reqUserIsAdmin: req.user.isAdmin,
       requestedUserId: userId,
       idsMatch: req.user.id === userId,
-      isAdmin: req.user.role === 'admin' || req.user.isAdmin === true,
+      canManageUsers: hasPermission(req.user, 'users:manage'),
       tokenPreview: req.header('Authorization')?.replace('Bearer ', '').substring(0, 20) + '...'
     });
 
-    if (req.user.id !== userId && req.user.role !== 'admin' && req.user.isAdmin !== true) {
+    if (req.user.id !== userId && !hasPermission(req.user, 'users:manage')) {
       console.error('❌ Profile update authorization failed - IDs do not match');
       return res.status(403).json({ message: 'Not authorized to update this profile' });
     }
@@ -247,6 +493,10 @@ router.put('/:id/profile', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (user.isAdmin && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only admins can modify admin accounts' });
+    }
+
     console.log('Updating user profile:', {
       userId,
       currentEmail: user.email,
@@ -267,6 +517,8 @@ router.put('/:id/profile', auth, async (req, res) => {
       }
     }
 
+    const before = snapshot(user);
+
     // Update user fields
     if (name !== undefined) user.name = name.trim();
     if (email !== undefined) user.email = email.toLowerCase().trim();
@@ -278,8 +530,30 @@ router.put('/:id/profile', auth, async (req, res) => {
       phone: user.phone
     });
 
+    const emailChanged = user.isModified('email');
     await user.save();
 
+    // The new address must be verified again
+    if (emailChanged) {
+      try {
+        await sendEmailVerification(user);
+      } catch (err) {
+        console.error('Failed to send verification email to', user.email);
+      }
+    }
+
+    // Only changes made to someone else's profile are administrative
+    if (req.user.id !== userId) {
+      await recordAudit(req, {
+        action: 'user.profile.update',
+        targetType: 'user',
+        targetId: user._id,
+        targetLabel: user.email,
+        before,
+        after: user
+      });
+    }
+
     console.log('User saved successfully, new phone:', user.phone);
 
     // Return updated user without password
@@ -289,7 +563,7 @@ router.put('/:id/profile', auth, async (req, res) => {
       email: user.email,
       phone: user.phone,
       isAdmin: user.isAdmin,
-      role: user.isAdmin ? 'admin' : 'user',
+      role: user.isAdmin ? 'admin' : (user.role || 'user'),
       isActive: user.isActive,
       createdAt: user.createdAt
     };
@@ -302,6 +576,81 @@ router.put('/:id/profile', auth, async (req, res) => {
   }
 });
 
+// GET /users/:id/sessions - List a user's active sessions (users:manage)
+router.get('/:id/sessions', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const sessions = await Session.find({
+      userId: req.params.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => session.toPublic(req.sessionId)));
+  } catch (error) {
+    console.error('Error fetching user sessions:', error);
+    res.status(500).json({ message: 'Server error fetching sessions' });
+  }
+});
+
+// DELETE /users/:id/sessions/:sessionId - Revoke one session of a user (users:manage)
+router.delete('/:id/sessions/:sessionId', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const session = await Session.findOne({ _id: sessionId, userId: id });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    if (!session.revokedAt) {
+      await session.revoke('revoked_by_admin');
+      await recordAudit(req, {
+        action: 'user.session.revoke',
+        targetType: 'user',
+        targetId: id,
+        metadata: { sessionId, deviceName: session.deviceName }
+      });
+    }
+
+    console.log('Session revoked by admin:', sessionId, 'user:', id, 'admin:', req.user.email);
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking user session:', error);
+    res.status(500).json({ message: 'Server error revoking session' });
+  }
+});
+
+// DELETE /users/:id/sessions - Revoke all sessions of a user (users:manage)
+router.delete('/:id/sessions', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const result = await Session.revokeAllForUser(req.params.id, 'revoked_by_admin');
+
+    await recordAudit(req, {
+      action: 'user.sessions.revoke-all',
+      targetType: 'user',
+      targetId: req.params.id,
+      metadata: { revokedCount: result.modifiedCount }
+    });
+
+    console.log('All sessions revoked by admin for user:', req.params.id, 'count:', result.modifiedCount);
+    res.json({ message: 'All sessions revoked successfully', revokedCount: result.modifiedCount });
+  } catch (error) {
+    console.error('Error revoking user sessions:', error);
+    res.status(500).json({ message: 'Server error revoking sessions' });
+  }
+});
+
 module.exports = router;
 
 // Notifications endpoints
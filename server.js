@@ -6,14 +6,24 @@ const http = require('http');
 const { Server } = require('socket.io');
 const dns = require('dns');
 require('dotenv').config();
-const jwt = require('jsonwebtoken');
-const User = require('./models/User');
+const { authenticate } = require('./utils/authProvider');
+const { purgeDueAccountDeletions } = require('./utils/accountData');
 
 // Use Google DNS for SRV record resolution (fixes local DNS issues)
 dns.setServers(['8.8.8.8', '8.8.4.4']);
 
 const app = express();
 
+// Behind a proxy (e.g. Render), set TRUST_PROXY to the number of proxy hops (1)
+// so req.ip is the client IP (login throttling keys on it). Off by default:
+// without a proxy, X-Forwarded-For would let clients pick their own IP.
+// Also accepts 'true'/'false' or a list of trusted addresses ('loopback, 10.0.0.0/8').
+if (process.env.TRUST_PROXY) {
+  const value = process.env.TRUST_PROXY.trim();
+  const hops = Number(value);
+  app.set('trust proxy', ['true', 'false'].includes(value) ? value === 'true' : (Number.isInteger(hops) ? hops : value));
+}
+
 // Middleware
 // CORS: React Native apps do not send an Origin header, so the origin
 // function below always allows those requests. Browser-originated requests
@@ -58,6 +68,12 @@ const db = mongoose.connection;
 db.on('error', console.error.bind(console, 'MongoDB connection error:'));
 db.once('open', () => {
   console.log('Connected to MongoDB');
+
+  // Purge accounts whose self-service deletion grace period has ended
+  const runAccountPurge = () => purgeDueAccountDeletions()
+    .catch(err => console.error('Error purging deleted accounts:', err));
+  runAccountPurge();
+  setInterval(runAccountPurge, 60 * 60 * 1000).unref();
 });
 
 // We'll create an HTTP server and attach Socket.IO so routes can use io via app.get('io')
@@ -77,35 +93,17 @@ const io = new Server(server, {
 // Map userId -> Set(socketId)
 const socketsByUser = new Map();
 
-// Socket middleware to authenticate using JWT or test token in handshake
+// Socket middleware to authenticate the handshake token with the same
+// strategies as the HTTP auth middleware (see utils/authProvider.js)
 io.use(async (socket, next) => {
   try {
     const token = socket.handshake.auth?.token || socket.handshake.query?.token;
     if (!token) return next();
 
-    // Support test-token-... pattern used in HTTP auth middleware for local/dev
-    if (token.startsWith('test-token-')) {
-      let email = token.replace('test-token-', '');
-      if (!email.includes('@')) {
-        if (email.includes('-')) {
-          const [userType, id] = email.split('-');
-          email = `${userType}@test.com`;
-        } else {
-          email += '@test.com';
-        }
-      }
-      const user = await User.findOne({ email });
-      if (user) {
-        socket.data.userId = user._id.toString();
-      }
-      return next();
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    if (decoded && decoded.userId) {
-      const user = await User.findById(decoded.userId).select('-password');
-      if (user) socket.data.userId = user._id.toString();
-    }
+    const { user, impersonation } = await authenticate({ token, ip: socket.handshake.address });
+    // An admin viewing as a customer must not receive the customer's live notifications
+    if (impersonation) return next();
+    socket.data.userId = user.id;
     return next();
   } catch (err) {
     console.warn('Socket auth failed:', err && err.message ? err.message : err);
@@ -125,19 +123,6 @@ io.on('connection', (socket) => {
     console.log(`Socket ${socket.id} auto-identified as user ${uid} via handshake auth`);
   }
 
-  socket.on('identify', (userId) => {
-    try {
-      if (!userId) return;
-      const uid = String(userId);
-      if (!socketsByUser.has(uid)) socketsByUser.set(uid, new Set());
-      socketsByUser.get(uid).add(socket.id);
-      socket.data.userId = uid;
-      console.log(`Socket ${socket.id} identified as user ${uid}`);
-    } catch (e) {
-      console.error('Error in identify handler', e);
-    }
-  });
-
   socket.on('disconnect', () => {
     const uid = socket.data.userId;
     if (uid && socketsByUser.has(uid)) {
@@ -163,6 +148,7 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/products', require('./routes/products'));
 app.use('/api/catalogs', require('./routes/catalogs'));
 app.use('/api/orders', require('./routes/orders'));
+app.use('/api/cart', require('./routes/cart'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/upload', require('./routes/upload'));
@@ -0,0 +1,218 @@
+/**
+ * Personal data helpers: account deletion (immediate or after the self-service
+ * grace period) and the JSON export a user can download about themselves.
+ */
+
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Wishlist = require('../models/Wishlist');
+const Cart = require('../models/Cart');
+const OrderMessage = require('../models/OrderMessage');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const PasswordReset = require('../models/PasswordReset');
+const LoginThrottle = require('../models/LoginThrottle');
+const Invitation = require('../models/Invitation');
+const Catalog = require('../models/Catalog');
+const ApiKey = require('../models/ApiKey');
+const Impersonation = require('../models/Impersonation');
+const AuditLog = require('../models/AuditLog');
+
+// Days between DELETE /api/users/me and the actual purge
+const ACCOUNT_DELETION_GRACE_DAYS = process.env.ACCOUNT_DELETION_GRACE_DAYS !== undefined
+  ? Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 0
+  : 14;
+
+// Several collections store user ids as Mixed (ObjectId or string)
+const userIdVariants = (user) => [user._id, user._id.toString()];
+
+/**
+ * Delete a user and everything personal attached to them.
+ * Orders are kept for accounting: they are flagged and their free-text notes cleared,
+ * and their userId no longer resolves to anyone.
+ *
+ * @param {string} userId
+ * @returns {Promise<boolean>} false if the user did not exist
+ */
+async function deleteUserAccount(userId) {
+  const user = await User.findById(userId);
+  if (!user) return false;
+
+  const ids = userIdVariants(user);
+
+  await Order.updateMany(
+    { userId: { $in: ids } },
+    { $set: { customerDeletedAt: new Date(), notes: '' } }
+  );
+  await Wishlist.deleteMany({ userId: { $in: ids } });
+  await Cart.deleteMany({ userId: { $in: ids } });
+  // Messages stay in the order conversations, without their content
+  await OrderMessage.updateMany(
+    { senderId: { $in: ids }, senderRole: 'customer' },
+    { $set: { text: '', attachments: [], senderName: '' } }
+  );
+  await Notification.deleteMany({ user: user._id });
+  await Session.deleteMany({ userId: user._id });
+  await PasswordReset.deleteMany({ userId: user._id });
+  await LoginThrottle.deleteMany({ type: 'email', key: user.email });
+  await Invitation.deleteMany({ email: user.email });
+  await Catalog.updateMany(
+    { allowedUserIds: { $in: ids } },
+    { $pull: { allowedUserIds: { $in: ids } } }
+  );
+
+  // Nothing may keep acting as the account: its API keys are revoked and
+  // impersonations of (or by) it ended; both stay as audit trail
+  const now = new Date();
+  await ApiKey.updateMany({ ownerId: user._id, revokedAt: null }, { $set: { revokedAt: now } });
+  await Impersonation.updateMany(
+    { $or: [{ targetUserId: user._id }, { adminId: user._id }], endedAt: null },
+    { $set: { endedAt: now } }
+  );
+  // Audit entries about the user keep their id but no longer name them
+  await AuditLog.updateMany(
+    { $or: [{ targetType: 'user', targetId: user._id.toString() }, { targetLabel: user.email }] },
+    { $set: { targetLabel: 'Deleted user' } }
+  );
+
+  // Push tokens, 2FA secrets etc. live on the user document itself
+  await User.deleteOne({ _id: user._id });
+
+  console.log('🗑️ Account deleted:', user.email);
+  return true;
+}
+
+/**
+ * Delete every account whose deletion grace period has ended.
+ *
+ * @returns {Promise<number>} number of accounts deleted
+ */
+async function purgeDueAccountDeletions() {
+  const due = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } }).select('_id');
+  let deleted = 0;
+  for (const user of due) {
+    try {
+      if (await deleteUserAccount(user._id)) deleted += 1;
+    } catch (err) {
+      console.error('Error purging account', user._id.toString(), err);
+    }
+  }
+  if (deleted > 0) console.log(`🗑️ Purged ${deleted} account(s) after deletion grace period`);
+  return deleted;
+}
+
+/**
+ * Build the personal data archive of a user.
+ *
+ * @param {string} userId
+ * @returns {Promise<object|null>}
+ */
+async function buildUserExport(userId) {
+  const user = await User.findById(userId).lean();
+  if (!user) return null;
+
+  const ids = userIdVariants(user);
+
+  const [orders, wishlist, carts, messages, notifications, sessions] = await Promise.all([
+    Order.find({ userId: { $in: ids } })
+      .sort({ createdAt: -1 })
+      .populate('catalogId', 'name')
+      .lean(),
+    Wishlist.find({ userId: { $in: ids } })
+      .populate('productId', 'name serialNumber type imageUrl')
+      .lean(),
+    Cart.find({ userId: { $in: ids } })
+      .populate('catalogId', 'name')
+      .populate('items.productId', 'name serialNumber')
+      .lean(),
+    OrderMessage.find({ senderId: { $in: ids }, senderRole: 'customer' })
+      .sort({ createdAt: -1 })
+      .populate('orderId', 'orderNumber')
+      .lean(),
+    Notification.find({ user: user._id }).sort({ createdAt: -1 }).lean(),
+    Session.find({ userId: user._id }).sort({ createdAt: -1 }).lean()
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: {
+      id: user._id.toString(),
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      role: user.role,
+      isActive: user.isActive !== false,
+      emailVerified: user.emailVerified !== false,
+      twoFactorEnabled: user.twoFactorEnabled === true,
+      createdAt: user.createdAt,
+      deletionScheduledFor: user.deletionScheduledFor,
+      pushTokens: user.expoPushTokens || []
+    },
+    orders: orders.map(order => ({
+      id: order._id.toString(),
+      orderNumber: order.orderNumber || null,
+      catalog: order.catalogId ? order.catalogId.name : null,
+      status: order.status,
+      items: (order.items || []).map(item => ({
+        name: item.name,
+        quantity: item.quantity,
+        price: item.price,
+        weight: item.weight,
+        size: item.size,
+        clasp: item.clasp,
+        height: item.height
+      })),
+      totalAmount: order.totalAmount,
+      notes: order.notes,
+      createdAt: order.createdAt,
+      updatedAt: order.updatedAt
+    })),
+    wishlist: wishlist.map(entry => ({
+      productId: entry.productId ? entry.productId._id.toString() : null,
+      name: entry.productId ? entry.productId.name : null,
+      serialNumber: entry.productId ? entry.productId.serialNumber : null,
+      addedAt: entry.createdAt
+    })),
+    carts: carts.map(cart => ({
+      catalog: cart.catalogId ? cart.catalogId.name : null,
+      items: (cart.items || []).map(item => ({
+        name: item.productId ? item.productId.name : null,
+        serialNumber: item.productId ? item.productId.serialNumber : null,
+        quantity: item.quantity,
+        size: item.size,
+        clasp: item.clasp,
+        height: item.height
+      })),
+      notes: cart.notes,
+      updatedAt: cart.updatedAt
+    })),
+    orderMessages: messages.map(message => ({
+      orderNumber: message.orderId ? message.orderId.orderNumber || null : null,
+      text: message.text,
+      attachments: message.attachments,
+      createdAt: message.createdAt
+    })),
+    notifications: notifications.map(notif => ({
+      title: notif.title,
+      body: notif.body,
+      data: notif.data,
+      read: notif.read,
+      createdAt: notif.createdAt
+    })),
+    sessions: sessions.map(session => ({
+      deviceName: session.deviceName,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      revokedAt: session.revokedAt
+    }))
+  };
+}
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  deleteUserAccount,
+  purgeDueAccountDeletions,
+  buildUserExport
+};
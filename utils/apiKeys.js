@@ -0,0 +1,145 @@
+/**
+ * API key helpers: key generation, scopes and IP allowlists.
+ *
+ * A scope grants both the permissions checked by the routes (see
+ * middlewares/permissions.js) and the list of routes the key may call at all.
+ * Anything not listed under one of the key's scopes is refused, so keys can't
+ * reach account endpoints (password change, sessions, ...) by accident.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const { hashToken } = require('./authTokens');
+
+const API_KEY_PREFIX = 'ak_';
+
+const API_KEY_SCOPES = {
+  'catalogs:read': {
+    description: 'Read catalogs, products, clasp images and size presets',
+    permissions: ['catalogs:read-all'],
+    routes: [
+      'GET /api/catalogs',
+      'GET /api/catalogs/:id',
+      'GET /api/products',
+      'GET /api/products/:id',
+      'GET /api/clasp-images',
+      'GET /api/clasp-images/:claspType',
+      'GET /api/size-presets'
+    ]
+  },
+  'orders:read': {
+    description: 'Read all orders',
+    permissions: ['orders:read'],
+    routes: [
+      'GET /api/orders',
+      'GET /api/orders/:id'
+    ]
+  },
+  'orders:write': {
+    description: 'Create orders and update their status',
+    permissions: ['orders:update-status'],
+    routes: [
+      'POST /api/orders',
+      'PUT /api/orders/:id/status',
+      'PUT /api/orders/:id/cancel'
+    ]
+  }
+};
+
+// "GET /api/orders/:id" -> { method: 'GET', regex: /^\/api\/orders\/[0-9a-fA-F]{24}\/?$/ }
+// `:id` only matches an ObjectId, so sibling routes like /api/orders/export stay out
+const compileRoute = (route) => {
+  const [method, pattern] = route.split(' ');
+  const source = pattern
+    .split('/')
+    .map(part => {
+      if (part === ':id') return '[0-9a-fA-F]{24}';
+      return part.startsWith(':') ? '[^/]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { method, regex: new RegExp(`^${source}/?$`) };
+};
+
+const compiledRoutes = Object.fromEntries(
+  Object.entries(API_KEY_SCOPES).map(([scope, def]) => [scope, def.routes.map(compileRoute)])
+);
+
+// Keep only scopes that exist
+const sanitizeScopes = (scopes) => Array.from(new Set(
+  (Array.isArray(scopes) ? scopes : []).filter(s => Object.prototype.hasOwnProperty.call(API_KEY_SCOPES, s))
+));
+
+// Permissions granted by a set of scopes
+const scopePermissions = (scopes) => Array.from(new Set(
+  sanitizeScopes(scopes).flatMap(scope => API_KEY_SCOPES[scope].permissions)
+));
+
+// Whether one of the scopes lists the route (path without query string)
+const scopesAllowRoute = (scopes, method, path) => sanitizeScopes(scopes).some(scope =>
+  compiledRoutes[scope].some(route => route.method === method && route.regex.test(path))
+);
+
+/**
+ * Generate a new key.
+ *
+ * @returns {{ key: string, keyHash: string, keyPrefix: string }} `key` must be shown to the caller once
+ */
+function generateApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(30).toString('base64url');
+  return { key, keyHash: hashToken(key), keyPrefix: key.slice(0, API_KEY_PREFIX.length + 6) };
+}
+
+const hashApiKey = (key) => hashToken(key);
+
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:/, '');
+
+/**
+ * Validate an allowlist entry (exact IPv4/IPv6 address or CIDR range).
+ *
+ * @param {string} entry
+ * @returns {boolean}
+ */
+function isValidIpEntry(entry) {
+  const [address, bits] = String(entry).split('/');
+  const family = net.isIP(address);
+  if (!family) return false;
+  if (bits === undefined) return true;
+  const prefix = Number(bits);
+  return Number.isInteger(prefix) && prefix >= 0 && prefix <= (family === 4 ? 32 : 128);
+}
+
+/**
+ * Check a caller address against an allowlist. An empty list allows everyone.
+ *
+ * @param {string[]} allowedIps
+ * @param {string} ip
+ * @returns {boolean}
+ */
+function ipAllowed(allowedIps, ip) {
+  if (!allowedIps || allowedIps.length === 0) return true;
+  const address = normalizeIp(ip);
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  const list = new net.BlockList();
+  for (const entry of allowedIps) {
+    if (!isValidIpEntry(entry)) continue;
+    const [base, bits] = entry.split('/');
+    const type = net.isIP(base) === 6 ? 'ipv6' : 'ipv4';
+    if (bits === undefined) list.addAddress(base, type);
+    else list.addSubnet(base, Number(bits), type);
+  }
+  return list.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+module.exports = {
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+  sanitizeScopes,
+  scopePermissions,
+  scopesAllowRoute,
+  generateApiKey,
+  hashApiKey,
+  isValidIpEntry,
+  ipAllowed
+};
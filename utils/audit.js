@@ -0,0 +1,107 @@
+/**
+ * Audit trail of administrative actions (see models/AuditLog.js).
+ *
+ * Routes take a snapshot of the document before changing it, then call
+ * recordAudit with the snapshot and the saved document; only the fields that
+ * differ are stored. Secrets (password hashes, 2FA secrets, key hashes...) are
+ * never written. Audit failures are logged and never fail the request.
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the audit trail
+const REDACTED_FIELDS = new Set([
+  'password',
+  'passwordHistory',
+  'refreshTokenHash',
+  'previousRefreshTokenHashes',
+  'tokenHash',
+  'keyHash',
+  'codeHash',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastStep',
+  'emailVerificationCodeHash',
+  'expoPushTokens'
+]);
+
+// Bookkeeping fields that change on every save
+const IGNORED_FIELDS = new Set(['__v', 'updatedAt']);
+
+/**
+ * Plain, JSON-safe copy of a document without secrets.
+ *
+ * @param {object|null} doc - Mongoose document or plain object
+ * @returns {object|null}
+ */
+function snapshot(doc) {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  const copy = JSON.parse(JSON.stringify(plain));
+  for (const field of Object.keys(copy)) {
+    if (REDACTED_FIELDS.has(field) || IGNORED_FIELDS.has(field)) delete copy[field];
+  }
+  return copy;
+}
+
+/**
+ * Top-level fields that differ between two snapshots.
+ *
+ * @param {object|null} before
+ * @param {object|null} after
+ * @returns {object} { field: { from, to } }
+ */
+function diffSnapshots(before, after) {
+  const from = before || {};
+  const to = after || {};
+  const changes = {};
+  for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) {
+      changes[field] = { from: from[field], to: to[field] };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Record an administrative action.
+ *
+ * @param {object} req - Express request (after auth)
+ * @param {object} entry
+ * @param {string} entry.action - e.g. 'order.delete'
+ * @param {string} entry.targetType - e.g. 'order'
+ * @param {string|object} [entry.targetId]
+ * @param {string} [entry.targetLabel]
+ * @param {object} [entry.before] - snapshot() taken before the change, or a document
+ * @param {object} [entry.after] - document or plain object after the change
+ * @param {object} [entry.metadata] - anything else worth keeping (request body, counts...)
+ * @returns {Promise<void>}
+ */
+async function recordAudit(req, { action, targetType, targetId, targetLabel = '', before, after, metadata = {} }) {
+  try {
+    const user = req.user || {};
+    await AuditLog.create({
+      actorId: user.id || null,
+      actorEmail: user.email || '',
+      apiKeyId: req.apiKey ? req.apiKey.id : null,
+      impersonatedBy: user.impersonatedBy ? user.impersonatedBy.id : null,
+      action,
+      targetType,
+      targetId: targetId ? String(targetId) : '',
+      targetLabel: targetLabel || '',
+      changes: diffSnapshots(snapshot(before), snapshot(after)),
+      metadata,
+      ip: req.ip || '',
+      userAgent: (req.get && req.get('User-Agent')) || ''
+    });
+  } catch (err) {
+    console.error('Error writing audit log:', action, err);
+  }
+}
+
+module.exports = {
+  snapshot,
+  diffSnapshots,
+  recordAudit
+};
@@ -0,0 +1,255 @@
+/**
+ * Authentication provider shared by the HTTP middleware and the Socket.IO handshake.
+ *
+ * Credentials are resolved by the first registered strategy that matches them.
+ * Every strategy returns the same `req.user` shape (see toRequestUser, plus the
+ * resolved `permissions`), so routes don't need to care how the caller authenticated.
+ *
+ * Strategies:
+ *  - jwt:       access tokens issued by /api/auth (always registered), and the
+ *               read-only impersonation tokens issued by /api/admin/impersonate
+ *  - dev-token: "test-token-<email>" tokens for local testing; only registered
+ *               when AUTH_DEV_TOKENS=true and NODE_ENV is not production
+ *  - api-key:   X-API-Key header for server-to-server integrations. Acts as the
+ *               key owner, limited to the permissions of the key's scopes; the
+ *               HTTP middleware also restricts the routes (see utils/apiKeys.js)
+ */
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Impersonation = require('../models/Impersonation');
+const { JWT_SECRET } = require('./authTokens');
+const { getUserPermissions } = require('../middlewares/permissions');
+const { hashApiKey, scopePermissions, ipAllowed } = require('./apiKeys');
+
+const strategies = [];
+
+/**
+ * Build an error carrying the HTTP status to answer with.
+ *
+ * @param {string} message
+ * @param {number} [status]
+ * @returns {Error}
+ */
+function authError(message, status = 401) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Normalize a User document into the object routes find on `req.user`.
+ *
+ * @param {object} user - User document
+ * @returns {object}
+ */
+function toRequestUser(user) {
+  const { password, ...fields } = user.toObject();
+  const isAdmin = user.isAdmin === true;
+  return {
+    ...fields,
+    _id: user._id,
+    id: user._id.toString(),
+    userId: user._id.toString(),
+    isAdmin,
+    role: isAdmin ? 'admin' : (user.role || 'user')
+  };
+}
+
+/**
+ * Register an authentication strategy.
+ *
+ * @param {{ name: string, matches: (credentials: object) => boolean, authenticate: (credentials: object) => Promise<object> }} strategy
+ *   `authenticate` resolves to { user, sessionId? } (user already normalized) or throws authError.
+ */
+function registerStrategy(strategy) {
+  if (strategies.some(s => s.name === strategy.name)) {
+    throw new Error(`Auth strategy "${strategy.name}" is already registered`);
+  }
+  strategies.push(strategy);
+}
+
+/**
+ * Authenticate a set of credentials.
+ *
+ * @param {{ token?: string, apiKey?: string, ip?: string }} credentials
+ * @returns {Promise<{ user: object, sessionId?: string, apiKey?: object, impersonation?: object, strategy: string }>}
+ */
+async function authenticate(credentials) {
+  const strategy = strategies.find(s => s.matches(credentials));
+  if (!strategy) {
+    throw authError('No token, authorization denied');
+  }
+
+  const result = await strategy.authenticate(credentials);
+  // Strategies may resolve permissions themselves (API keys are narrower than their owner)
+  if (!Array.isArray(result.user.permissions)) {
+    result.user.permissions = await getUserPermissions(result.user);
+  }
+  return { ...result, strategy: strategy.name };
+}
+
+// Optional global invalidation: force-logout tokens issued before a cutoff.
+// Set TOKEN_INVALID_BEFORE to a date/time (ISO string) or epoch seconds/ms.
+function tokenInvalidBeforeCutoff() {
+  if (!process.env.TOKEN_INVALID_BEFORE) return 0;
+  let cutoff = Number(process.env.TOKEN_INVALID_BEFORE);
+  if (Number.isNaN(cutoff)) {
+    const parsed = Date.parse(process.env.TOKEN_INVALID_BEFORE);
+    cutoff = Number.isNaN(parsed) ? 0 : Math.floor(parsed / 1000); // seconds
+  } else if (cutoff > 1e12) {
+    // If provided in ms, convert to seconds
+    cutoff = Math.floor(cutoff / 1000);
+  }
+  return cutoff;
+}
+
+const jwtStrategy = {
+  name: 'jwt',
+  matches: (credentials) => Boolean(credentials.token),
+  authenticate: async ({ token }) => {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      // Return a clearer message for expired tokens so clients can handle re-auth
+      if (error && error.name === 'TokenExpiredError') throw authError('Token expired');
+      throw authError('Token is not valid');
+    }
+
+    // Purpose-bound tokens (invitations, ...) are not access tokens
+    if (decoded.purpose || !decoded.userId) {
+      throw authError('Token is not valid');
+    }
+
+    const cutoff = tokenInvalidBeforeCutoff();
+    if (cutoff && decoded.iat && decoded.iat < cutoff) {
+      console.warn('🔒 Token invalidated by TOKEN_INVALID_BEFORE cutoff. iat:', decoded.iat, 'cutoff:', cutoff);
+      throw authError('Token invalidated');
+    }
+
+    // Tokens tied to a session die with it (logout, device revoked, refresh token reuse)
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid).select('revokedAt expiresAt');
+      if (!session || !session.isActive()) {
+        console.warn('🔒 Token rejected, session revoked or expired:', decoded.sid);
+        throw authError('Session revoked');
+      }
+    }
+
+    // Impersonation tokens ("view as customer") die when the admin ends them
+    let impersonation = null;
+    if (decoded.imp) {
+      impersonation = await Impersonation.findById(decoded.imp).populate('adminId', 'name email');
+      if (!impersonation || !impersonation.isActive() || !impersonation.adminId || String(impersonation.targetUserId) !== String(decoded.userId)) {
+        throw authError('Impersonation ended');
+      }
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      throw authError('Token is not valid');
+    }
+    if (user.isActive === false) {
+      throw authError('Account is inactive');
+    }
+
+    if (impersonation) {
+      const admin = impersonation.adminId;
+      const impersonatedBy = { id: admin._id.toString(), name: admin.name, email: admin.email };
+      return {
+        user: { ...toRequestUser(user), impersonatedBy },
+        impersonation: { id: impersonation._id.toString(), impersonatedBy, expiresAt: impersonation.expiresAt }
+      };
+    }
+
+    return { user: toRequestUser(user), sessionId: decoded.sid };
+  }
+};
+
+// Format: test-token-{email}, test-token-{name} (-> name@test.com)
+// or test-token-{type}-{id} (-> type@test.com)
+function devTokenEmail(token) {
+  let email = token.replace('test-token-', '');
+  if (!email.includes('@')) {
+    email = email.includes('-') ? `${email.split('-')[0]}@test.com` : `${email}@test.com`;
+  }
+  return email;
+}
+
+const devTokenStrategy = {
+  name: 'dev-token',
+  matches: (credentials) => Boolean(credentials.token && credentials.token.startsWith('test-token-')),
+  authenticate: async ({ token }) => {
+    const email = devTokenEmail(token);
+    const user = await User.findOne({ email });
+    if (!user) {
+      throw authError('Invalid test token - user not found');
+    }
+    if (user.isActive === false) {
+      throw authError('Account is inactive');
+    }
+    console.log(`🧪 Dev token authenticated as ${email}`);
+    return { user: toRequestUser(user) };
+  }
+};
+
+// Only record usage once a minute per key to avoid a write per request
+const API_KEY_USAGE_WRITE_INTERVAL_MS = 60 * 1000;
+
+const apiKeyStrategy = {
+  name: 'api-key',
+  matches: (credentials) => Boolean(credentials.apiKey),
+  authenticate: async ({ apiKey, ip }) => {
+    const key = await ApiKey.findOne({ keyHash: hashApiKey(apiKey) });
+    if (!key || !key.isActive()) {
+      throw authError('API key is not valid');
+    }
+    if (!ipAllowed(key.allowedIps, ip)) {
+      console.warn('🔒 API key used from a non-allowed address:', key.keyPrefix, ip);
+      throw authError('API key is not allowed from this address', 403);
+    }
+
+    const owner = await User.findById(key.ownerId);
+    if (!owner || owner.isActive === false) {
+      throw authError('API key owner is not active');
+    }
+
+    // A key never grants more than its owner has
+    const requestUser = toRequestUser(owner);
+    const ownerPermissions = await getUserPermissions(requestUser);
+    const permissions = scopePermissions(key.scopes)
+      .filter(p => ownerPermissions.includes('*') || ownerPermissions.includes(p));
+
+    if (!key.lastUsedAt || Date.now() - key.lastUsedAt.getTime() > API_KEY_USAGE_WRITE_INTERVAL_MS) {
+      ApiKey.updateOne({ _id: key._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip || '' } })
+        .catch(err => console.error('Error recording API key usage:', err));
+    }
+
+    return {
+      user: { ...requestUser, isAdmin: false, permissions },
+      apiKey: { id: key._id.toString(), name: key.name, scopes: key.scopes }
+    };
+  }
+};
+
+// Dev tokens must be matched before the generic JWT strategy
+if (process.env.AUTH_DEV_TOKENS === 'true') {
+  if (process.env.NODE_ENV === 'production') {
+    console.warn('⚠️ AUTH_DEV_TOKENS is ignored when NODE_ENV=production');
+  } else {
+    console.warn('🧪 Dev test tokens are enabled (AUTH_DEV_TOKENS=true)');
+    registerStrategy(devTokenStrategy);
+  }
+}
+registerStrategy(apiKeyStrategy);
+registerStrategy(jwtStrategy);
+
+module.exports = {
+  authenticate,
+  registerStrategy,
+  toRequestUser,
+  authError
+};
@@ -0,0 +1,217 @@
+/**
+ * Access / refresh token helpers.
+ * Access tokens are short-lived JWTs carrying the session id (`sid`);
+ * refresh tokens are opaque "<sessionId>.<secret>" strings backed by a
+ * Session document and rotated on every use.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+// Access tokens are short-lived; override with ACCESS_TOKEN_EXPIRES_IN (e.g. '15m', '1h').
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+// Refresh tokens (sessions) live this many days unless refreshed.
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Hash an opaque token for storage (never store raw refresh secrets).
+ *
+ * @param {string} token
+ * @returns {string} hex sha256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Sign a short-lived access token for a user.
+ *
+ * @param {object} user - User document (or anything with _id)
+ * @param {object} [session] - Session document the token belongs to
+ * @returns {string}
+ */
+function signAccessToken(user, session) {
+  const payload = { userId: user._id };
+  if (session) payload.sid = session._id.toString();
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+}
+
+/**
+ * Split a "<sessionId>.<secret>" refresh token.
+ *
+ * @param {string} refreshToken
+ * @returns {{ sessionId: string, secret: string } | null}
+ */
+function parseRefreshToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret) return null;
+  return { sessionId, secret };
+}
+
+function refreshExpiryDate() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Create a new session for a user and return a token pair.
+ *
+ * @param {object} user - User document
+ * @param {object} req - Express request (used for device info)
+ * @returns {Promise<{ token: string, refreshToken: string, session: object }>}
+ */
+async function createSession(user, req) {
+  const secret = crypto.randomBytes(48).toString('hex');
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    deviceName: (req.body && req.body.deviceName) || '',
+    userAgent: req.get('User-Agent') || '',
+    ip: req.ip || '',
+    expiresAt: refreshExpiryDate()
+  });
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken: `${session._id}.${secret}`,
+    session
+  };
+}
+
+// Rotated-out secrets remembered per session for reuse detection
+const PREVIOUS_REFRESH_SECRETS_KEPT = 20;
+
+/**
+ * Rotate the refresh token of an existing session and return a new token pair.
+ * The swap only happens if the session still holds the secret it was read
+ * with, so two concurrent refreshes with the same token can't both succeed.
+ *
+ * @param {object} session - Session document (already validated)
+ * @param {object} user - User document
+ * @param {object} req - Express request
+ * @returns {Promise<{ token: string, refreshToken: string, session: object } | null>}
+ *   null when another refresh rotated the secret first
+ */
+async function rotateSession(session, user, req) {
+  const secret = crypto.randomBytes(48).toString('hex');
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiryDate(),
+        userAgent: req.get('User-Agent') || session.userAgent,
+        ip: req.ip || session.ip
+      },
+      $push: { previousRefreshTokenHashes: { $each: [session.refreshTokenHash], $slice: -PREVIOUS_REFRESH_SECRETS_KEPT } }
+    },
+    { new: true }
+  );
+  if (!rotated) return null;
+
+  return {
+    token: signAccessToken(user, rotated),
+    refreshToken: `${rotated._id}.${secret}`,
+    session: rotated
+  };
+}
+
+/**
+ * Sign an invitation token. The token only proves which invitation it was
+ * issued for; the Invitation document decides whether it is still valid.
+ *
+ * @param {object} invitation - Invitation document
+ * @returns {string}
+ */
+function signInviteToken(invitation) {
+  const expiresIn = Math.max(Math.floor((invitation.expiresAt.getTime() - Date.now()) / 1000), 1);
+  return jwt.sign(
+    { invitationId: invitation._id.toString(), purpose: 'invite', nonce: crypto.randomBytes(8).toString('hex') },
+    JWT_SECRET,
+    { expiresIn }
+  );
+}
+
+/**
+ * Verify an invitation token signature and expiry.
+ *
+ * @param {string} token
+ * @returns {{ invitationId: string } | null}
+ */
+function verifyInviteToken(token) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (!decoded || decoded.purpose !== 'invite' || !decoded.invitationId) return null;
+    return decoded;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Sign a short-lived token that proves one login step was completed
+ * (e.g. password checked, second factor still required).
+ *
+ * @param {object} user - User document
+ * @param {string} purpose - e.g. '2fa' or '2fa-setup'
+ * @param {string} [expiresIn]
+ * @returns {string}
+ */
+function signChallengeToken(user, purpose, expiresIn = '5m') {
+  return jwt.sign({ userId: user._id.toString(), purpose }, JWT_SECRET, { expiresIn });
+}
+
+/**
+ * Verify a challenge token for the expected purpose.
+ *
+ * @param {string} token
+ * @param {string|string[]} purpose - accepted purpose(s)
+ * @returns {{ userId: string, purpose: string } | null}
+ */
+function verifyChallengeToken(token, purpose) {
+  const purposes = Array.isArray(purpose) ? purpose : [purpose];
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (!decoded || !decoded.userId || !purposes.includes(decoded.purpose)) return null;
+    return decoded;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Sign a read-only token letting an admin act as another user.
+ * It has no session and no refresh token; the Impersonation document
+ * decides whether it is still valid.
+ *
+ * @param {object} impersonation - Impersonation document
+ * @returns {string}
+ */
+function signImpersonationToken(impersonation) {
+  const expiresIn = Math.max(Math.floor((impersonation.expiresAt.getTime() - Date.now()) / 1000), 1);
+  return jwt.sign(
+    { userId: impersonation.targetUserId.toString(), imp: impersonation._id.toString() },
+    JWT_SECRET,
+    { expiresIn }
+  );
+}
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_EXPIRES_IN,
+  hashToken,
+  signAccessToken,
+  parseRefreshToken,
+  createSession,
+  rotateSession,
+  signInviteToken,
+  verifyInviteToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  signImpersonationToken
+};
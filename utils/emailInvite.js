@@ -9,8 +9,26 @@ const transporter = nodemailer.createTransport({
   }
 });
 
-const sendInviteEmail = async (email, name, adminName) => {
+// Optional link base for invitations, e.g. a deep link like "asawer://register".
+// The invite token is appended as ?inviteToken=...
+const INVITE_LINK_BASE_URL = process.env.INVITE_LINK_BASE_URL || '';
+
+const sendInviteEmail = async (email, name, adminName, inviteToken, expiresAt) => {
   try {
+    let inviteBlock = '';
+    if (inviteToken) {
+      const separator = INVITE_LINK_BASE_URL.includes('?') ? '&' : '?';
+      const link = INVITE_LINK_BASE_URL
+        ? `${INVITE_LINK_BASE_URL}${separator}inviteToken=${encodeURIComponent(inviteToken)}`
+        : '';
+      inviteBlock = `
+          ${link ? `<p><a href="${link}">Accept your invitation</a></p>` : ''}
+          <p>If the app asks for an invitation code, use:</p>
+          <p style="word-break: break-all; font-family: monospace; background: #f4f4f4; padding: 8px;">${inviteToken}</p>
+          ${expiresAt ? `<p>This invitation expires on ${new Date(expiresAt).toDateString()}.</p>` : ''}
+      `;
+    }
+
     const mailOptions = {
       from: process.env.EMAIL_USER,
       to: email,
@@ -27,6 +45,7 @@ const sendInviteEmail = async (email, name, adminName) => {
             <li>Register with your email: ${email}</li>
             <li>Start exploring your personalized product collection</li>
           </ol>
+          ${inviteBlock}
           <p>If you have any questions, please don't hesitate to contact us.</p>
           <p>Best regards,<br>The Product Portfolio Team</p>
         </div>
@@ -41,4 +60,61 @@ const sendInviteEmail = async (email, name, adminName) => {
   }
 };
 
+const sendPasswordResetEmail = async (email, name, code, expiresInMinutes) => {
+  try {
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'Your password reset code',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Password reset</h2>
+          <p>Hello ${name},</p>
+          <p>We received a request to reset the password of your account. Enter this code in the app:</p>
+          <p style="font-size: 28px; font-weight: bold; letter-spacing: 6px;">${code}</p>
+          <p>The code expires in ${expiresInMinutes} minutes and can only be used once.</p>
+          <p>If you did not request a password reset, you can ignore this email.</p>
+          <p>Best regards,<br>The Product Portfolio Team</p>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`Password reset email sent to ${email}`);
+  } catch (error) {
+    console.error('Error sending password reset email:', error);
+    throw error;
+  }
+};
+
+const sendVerificationEmail = async (email, name, code, link, expiresInHours) => {
+  try {
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'Confirm your email address',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Confirm your email</h2>
+          <p>Hello ${name},</p>
+          <p>Thanks for signing up. Please confirm that this is your email address.</p>
+          ${link ? `<p><a href="${link}">Confirm my email</a></p><p>Or enter this code in the app:</p>` : '<p>Enter this code in the app:</p>'}
+          <p style="font-size: 28px; font-weight: bold; letter-spacing: 6px;">${code}</p>
+          <p>The code expires in ${expiresInHours} hours.</p>
+          <p>If you did not create an account, you can ignore this email.</p>
+          <p>Best regards,<br>The Product Portfolio Team</p>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`Verification email sent to ${email}`);
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    throw error;
+  }
+};
+
 module.exports = sendInviteEmail;
+module.exports.sendPasswordResetEmail = sendPasswordResetEmail;
+module.exports.sendVerificationEmail = sendVerificationEmail;
@@ -0,0 +1,80 @@
+/**
+ * Email verification codes for self-registered accounts, and for any account
+ * whose email address changes (see the User pre-save hook).
+ *
+ * Config (env):
+ *  - EMAIL_VERIFICATION_TTL_HOURS  code and link lifetime (default 24)
+ *  - EMAIL_VERIFY_LINK_BASE_URL    optional link base (e.g. "asawer://verify-email";
+ *                                  ?token=... is appended)
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { sendVerificationEmail } = require('./emailInvite');
+const { signChallengeToken } = require('./authTokens');
+
+// Code lifetime, wrong guesses allowed per code, and resend cooldown
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const EMAIL_VERIFICATION_MAX_ATTEMPTS = 5;
+const EMAIL_VERIFICATION_RESEND_SECONDS = 60;
+const EMAIL_VERIFY_LINK_BASE_URL = process.env.EMAIL_VERIFY_LINK_BASE_URL || '';
+
+/**
+ * Generate a fresh verification code + signed link token and email them.
+ * Earlier codes and links stop working.
+ *
+ * @param {object} user - User document
+ */
+async function sendEmailVerification(user) {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const salt = await bcrypt.genSalt(10);
+  user.emailVerificationCodeHash = await bcrypt.hash(code, salt);
+  user.emailVerificationExpiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  user.emailVerificationAttempts = 0;
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+
+  let link = '';
+  if (EMAIL_VERIFY_LINK_BASE_URL) {
+    const token = signChallengeToken(user, 'verify-email', `${EMAIL_VERIFICATION_TTL_HOURS}h`);
+    const separator = EMAIL_VERIFY_LINK_BASE_URL.includes('?') ? '&' : '?';
+    link = `${EMAIL_VERIFY_LINK_BASE_URL}${separator}token=${encodeURIComponent(token)}`;
+  }
+
+  await sendVerificationEmail(user.email, user.name, code, link, EMAIL_VERIFICATION_TTL_HOURS);
+}
+
+/**
+ * Whether a decoded verify-email link token belongs to the latest email sent
+ * to the user (links sent to a previous address must not verify the new one).
+ *
+ * @param {object} user - User document
+ * @param {{ iat: number }} decoded - verified token payload
+ * @returns {boolean}
+ */
+function isCurrentVerificationLink(user, decoded) {
+  const sentAt = user.emailVerificationSentAt;
+  return Boolean(sentAt) && decoded.iat >= Math.floor(sentAt.getTime() / 1000);
+}
+
+/**
+ * Mark the user's email as verified and clear the pending code.
+ *
+ * @param {object} user - User document
+ */
+async function markEmailVerified(user) {
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  user.emailVerificationCodeHash = undefined;
+  user.emailVerificationExpiresAt = undefined;
+  user.emailVerificationAttempts = 0;
+  await user.save();
+}
+
+module.exports = {
+  EMAIL_VERIFICATION_MAX_ATTEMPTS,
+  EMAIL_VERIFICATION_RESEND_SECONDS,
+  sendEmailVerification,
+  isCurrentVerificationLink,
+  markEmailVerified
+};
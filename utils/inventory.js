@@ -0,0 +1,298 @@
+/**
+ * Inventory: stock levels of products (or of each variant) and the movements
+ * that change them (see models/StockMovement.js).
+ *
+ * Only products with `trackStock` are affected; made-to-order products keep
+ * working without stock. Order lifecycle:
+ *  - confirmed: each item's quantity moves from free stock to reserved stock
+ *    (409 when there isn't enough; nothing stays reserved then)
+ *  - shipped:   the reservation leaves the workshop
+ *  - cancelled: the reservation goes back to free stock
+ * Levels are changed with atomic conditional updates so stock never goes
+ * below zero under concurrent orders.
+ */
+
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { notifyUser } = require('./notifyUser');
+
+// Error carrying the HTTP status to answer with (like pricing's pricingError)
+function inventoryError(message, status = 409, details = {}) {
+  const err = new Error(message);
+  err.status = status;
+  Object.assign(err, details);
+  return err;
+}
+
+const findVariant = (product, variantId) => (
+  variantId ? (product.variants || []).find(v => String(v._id) === String(variantId)) || null : null
+);
+
+// Where the stock of a product/variant lives: the variant, or the product itself
+const stockHolder = (product, variantId) => (variantId ? findVariant(product, variantId) : product);
+
+const stockLabel = (product, variant) => (variant ? `${product.name} (${product.variantSku(variant)})` : product.name);
+
+/**
+ * Atomically change the free and reserved stock of a product or variant.
+ * The update only applies when neither level would go below zero.
+ *
+ * @param {string} productId
+ * @param {string|null} variantId
+ * @param {{ stock?: number, reserved?: number }} deltas
+ * @returns {Promise<object|null>} the updated Product, or null when refused
+ */
+async function changeLevels(productId, variantId, { stock = 0, reserved = 0 }) {
+  const guard = {};
+  if (stock < 0) guard.stock = { $gte: -stock };
+  if (reserved < 0) guard.reservedStock = { $gte: -reserved };
+
+  if (!variantId) {
+    return Product.findOneAndUpdate(
+      { _id: productId, trackStock: true, ...guard },
+      { $inc: { stock, reservedStock: reserved } },
+      { new: true }
+    );
+  }
+  return Product.findOneAndUpdate(
+    { _id: productId, trackStock: true, variants: { $elemMatch: { _id: variantId, ...guard } } },
+    { $inc: { 'variants.$.stock': stock, 'variants.$.reservedStock': reserved } },
+    { new: true }
+  );
+}
+
+/**
+ * Users told about low stock: admins and roles with inventory:manage.
+ *
+ * @returns {Promise<object[]>}
+ */
+async function inventoryManagers() {
+  const roles = await Role.find({ permissions: { $in: ['inventory:manage', '*'] } }).select('name').lean();
+  return User.find({
+    isActive: { $ne: false },
+    $or: [{ isAdmin: true }, { role: { $in: roles.map(r => r.name) } }]
+  }).select('_id');
+}
+
+/**
+ * Notify inventory managers when a movement brought free stock down to (or
+ * below) the product's threshold. Never throws.
+ *
+ * @param {object} app - Express app
+ * @param {object} product - updated Product
+ * @param {string|null} variantId
+ * @param {number} previousStock - free stock before the movement
+ */
+async function checkLowStock(app, product, variantId, previousStock) {
+  try {
+    const threshold = product.lowStockThreshold;
+    const holder = stockHolder(product, variantId);
+    if (threshold === null || threshold === undefined || !holder) return;
+    if (!(holder.stock <= threshold && previousStock > threshold)) return;
+
+    const variant = variantId ? holder : null;
+    const label = stockLabel(product, variant);
+    for (const manager of await inventoryManagers()) {
+      await notifyUser(app, manager._id, {
+        title: 'Low stock',
+        body: holder.stock > 0 ? `${label}: only ${holder.stock} left in stock` : `${label} is out of stock`,
+        data: {
+          type: 'low_stock',
+          productId: product._id.toString(),
+          variantId: variant ? variant._id.toString() : null,
+          stock: holder.stock
+        }
+      });
+    }
+  } catch (err) {
+    console.error('Error sending low stock notification:', err);
+  }
+}
+
+async function logMovement(product, variantId, { type, quantity, order = null, reason = '', actor = null }) {
+  const holder = stockHolder(product, variantId);
+  return StockMovement.create({
+    productId: product._id,
+    variantId: variantId || null,
+    sku: product.variantSku(variantId ? holder : null),
+    type,
+    quantity,
+    stockAfter: holder.stock,
+    reservedAfter: holder.reservedStock,
+    orderId: order ? order._id : null,
+    reason,
+    createdBy: actor ? actor.id : null
+  });
+}
+
+// Give back the reservation of an order item (release) or consume it (ship)
+async function settleItem(order, item, { type, reason, actor }) {
+  const quantity = item.reservedQuantity;
+  const deltas = type === 'released' ? { stock: quantity, reserved: -quantity } : { reserved: -quantity };
+  const product = await changeLevels(item.productId, item.variantId, deltas);
+  item.reservedQuantity = 0;
+  if (!product) {
+    // Stock tracking was turned off or the variant removed since the reservation
+    console.warn(`Stock of order ${order._id} item ${item._id} could not be ${type}`);
+    return;
+  }
+  await logMovement(product, item.variantId, { type, quantity, order, reason, actor });
+}
+
+/**
+ * Reserve the stock of every tracked item of an order (on confirmation).
+ * All or nothing: on a shortage the items already reserved are released.
+ * Sets `reservedQuantity` on the items; the caller saves the order.
+ *
+ * @param {object} app - Express app
+ * @param {object} order - Order document
+ * @param {{ actor?: object }} [options]
+ * @throws {Error} with status 409 and `shortages` when stock is insufficient
+ */
+async function reserveOrderStock(app, order, { actor = null } = {}) {
+  const reserved = [];
+  for (const item of order.items) {
+    if (item.reservedQuantity > 0) continue;
+
+    const product = await Product.findById(item.productId);
+    if (!product || !product.trackStock) continue;
+    // Items ordered before the product got variants can't be matched to one
+    if (product.variants.length && !findVariant(product, item.variantId)) continue;
+
+    const variantId = product.variants.length ? item.variantId : null;
+    const previous = stockHolder(product, variantId).stock;
+    const updated = await changeLevels(product._id, variantId, { stock: -item.quantity, reserved: item.quantity });
+    if (!updated) {
+      for (const done of reserved) {
+        await settleItem(order, done, { type: 'released', reason: 'Order confirmation failed', actor });
+      }
+      const available = Math.max(0, previous);
+      throw inventoryError(`Not enough stock for ${item.name}: ${available} available, ${item.quantity} needed`, 409, {
+        shortages: [{ productId: product._id, variantId, name: item.name, available, requested: item.quantity }]
+      });
+    }
+
+    item.reservedQuantity = item.quantity;
+    reserved.push(item);
+    await logMovement(updated, variantId, { type: 'reserved', quantity: item.quantity, order, actor });
+    await checkLowStock(app, updated, variantId, previous);
+  }
+}
+
+/**
+ * Return the reserved stock of an order to free stock (cancellation, deletion).
+ *
+ * @param {object} order - Order document
+ * @param {{ actor?: object, reason?: string }} [options]
+ */
+async function releaseOrderStock(order, { actor = null, reason = '' } = {}) {
+  for (const item of order.items) {
+    if (item.reservedQuantity > 0) await settleItem(order, item, { type: 'released', reason, actor });
+  }
+}
+
+/**
+ * Consume the reserved stock of an order (shipping).
+ *
+ * @param {object} order - Order document
+ * @param {{ actor?: object }} [options]
+ */
+async function shipOrderStock(order, { actor = null } = {}) {
+  for (const item of order.items) {
+    if (item.reservedQuantity > 0) await settleItem(order, item, { type: 'shipped', reason: '', actor });
+  }
+}
+
+/**
+ * Apply the stock side of an order moving to `status`. Call once the status
+ * change is claimed (Order#claimTransition), then save the order.
+ *
+ * @param {object} app - Express app
+ * @param {object} order - Order document
+ * @param {string} status - new status
+ * @param {{ actor?: object, reason?: string }} [options]
+ * @throws {Error} with status 409 when a confirmation lacks stock
+ */
+async function applyOrderStock(app, order, status, { actor = null, reason = '' } = {}) {
+  if (status === 'confirmed') return reserveOrderStock(app, order, { actor });
+  if (status === 'shipped') return shipOrderStock(order, { actor });
+  if (status === 'cancelled') return releaseOrderStock(order, { actor, reason: reason || 'Order cancelled' });
+  return undefined;
+}
+
+/**
+ * Manual stock change by an admin: goods received, or a correction.
+ *
+ * @param {object} app - Express app
+ * @param {object} product - Product document
+ * @param {{ variantId?: string, type: 'received'|'adjusted', quantity: number, reason?: string, actor?: object }} change
+ * @returns {Promise<{ product: object, movement: object }>}
+ * @throws {Error} with status 400/409 when the change is invalid
+ */
+async function adjustStock(app, product, { variantId = null, type, quantity, reason = '', actor = null }) {
+  if (!['received', 'adjusted'].includes(type)) {
+    throw inventoryError("type must be 'received' or 'adjusted'", 400);
+  }
+  const amount = Number(quantity);
+  if (!Number.isInteger(amount) || amount === 0 || (type === 'received' && amount < 0)) {
+    throw inventoryError(type === 'received' ? 'quantity must be a positive integer' : 'quantity must be a non-zero integer', 400);
+  }
+  if (!product.trackStock) {
+    throw inventoryError('Stock is not tracked for this product', 409);
+  }
+  if (product.variants.length && !variantId) {
+    throw inventoryError('variantId is required: this product keeps stock per variant', 400);
+  }
+  const holder = stockHolder(product, product.variants.length ? variantId : null);
+  if (!holder) {
+    throw inventoryError('Variant not found', 404);
+  }
+
+  const target = product.variants.length ? variantId : null;
+  const updated = await changeLevels(product._id, target, { stock: amount });
+  if (!updated) {
+    throw inventoryError(`Stock can't go below zero (${holder.stock} free)`, 409);
+  }
+
+  const movement = await logMovement(updated, target, { type, quantity: amount, reason, actor });
+  await checkLowStock(app, updated, target, holder.stock);
+  return { product: updated, movement };
+}
+
+/**
+ * Tracked products and variants at or below their low-stock threshold.
+ *
+ * @returns {Promise<object[]>}
+ */
+async function listLowStock() {
+  const products = await Product.find({ trackStock: true, lowStockThreshold: { $ne: null } });
+  const rows = [];
+  for (const product of products) {
+    const holders = product.variants.length ? product.variants : [null];
+    for (const variant of holders) {
+      const holder = variant || product;
+      if (holder.stock > product.lowStockThreshold) continue;
+      rows.push({
+        productId: product._id,
+        variantId: variant ? variant._id : null,
+        name: product.name,
+        sku: product.variantSku(variant),
+        stock: holder.stock,
+        reservedStock: holder.reservedStock,
+        lowStockThreshold: product.lowStockThreshold
+      });
+    }
+  }
+  return rows.sort((a, b) => a.stock - b.stock);
+}
+
+module.exports = {
+  reserveOrderStock,
+  releaseOrderStock,
+  shipOrderStock,
+  applyOrderStock,
+  adjustStock,
+  listLowStock
+};
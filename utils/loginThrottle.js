@@ -0,0 +1,135 @@
+/**
+ * Login throttling: exponential backoff between failed attempts and a
+ * temporary lockout after too many failures, tracked per email and per IP.
+ *
+ * Config (env):
+ *  - LOGIN_MAX_FAILURES        failures per email before the account locks (default 5)
+ *  - LOGIN_IP_MAX_FAILURES     failures per IP before the IP locks (default 20)
+ *  - LOGIN_LOCKOUT_MINUTES     lock duration (default 15)
+ *  - LOGIN_BACKOFF_MAX_SECONDS cap of the backoff delay (default 60)
+ */
+
+const LoginThrottle = require('../models/LoginThrottle');
+
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_BACKOFF_MAX_SECONDS = Number(process.env.LOGIN_BACKOFF_MAX_SECONDS) || 60;
+
+function secondsUntil(date) {
+  return Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 1);
+}
+
+/**
+ * Check whether a login attempt may be evaluated right now.
+ *
+ * @param {string} email
+ * @param {string} ip
+ * @returns {Promise<{ allowed: boolean, locked?: boolean, retryAfter?: number }>}
+ */
+async function checkLoginAllowed(email, ip) {
+  const records = await LoginThrottle.find({
+    $or: [{ type: 'email', key: email }, { type: 'ip', key: ip }]
+  });
+
+  const now = new Date();
+  let retryAfter = 0;
+  let locked = false;
+
+  for (const record of records) {
+    if (record.isLocked()) {
+      locked = true;
+      retryAfter = Math.max(retryAfter, secondsUntil(record.lockedUntil));
+    } else if (record.nextAllowedAt && record.nextAllowedAt > now) {
+      retryAfter = Math.max(retryAfter, secondsUntil(record.nextAllowedAt));
+    }
+  }
+
+  return retryAfter > 0 ? { allowed: false, locked, retryAfter } : { allowed: true };
+}
+
+// Counter update as one upsert, so concurrent failures for a new key can't
+// collide on the unique index (retried once if they still do)
+const incrementFailures = (type, key, fields) => LoginThrottle.findOneAndUpdate(
+  { type, key },
+  { $inc: { failures: 1 }, $set: fields },
+  { upsert: true, new: true, setDefaultsOnInsert: true }
+).catch(err => {
+  if (err.code !== 11000) throw err;
+  return LoginThrottle.findOneAndUpdate({ type, key }, { $inc: { failures: 1 }, $set: fields }, { new: true });
+});
+
+async function registerFailure(type, key, maxFailures, userId) {
+  const now = new Date();
+
+  // Count starts over once a previous lock has run out
+  await LoginThrottle.updateOne(
+    { type, key, lockedUntil: { $ne: null, $lte: now } },
+    { $set: { failures: 0, lockedUntil: null } }
+  );
+
+  const fields = { lastFailureAt: now, updatedAt: now };
+  if (userId) fields.userId = userId;
+  let record = await incrementFailures(type, key, fields);
+
+  // 1s, 2s, 4s, ... capped
+  const delaySeconds = Math.min(2 ** (record.failures - 1), LOGIN_BACKOFF_MAX_SECONDS);
+  const update = { $max: { nextAllowedAt: new Date(now.getTime() + delaySeconds * 1000) } };
+
+  // Only the failure that reaches the limit locks (and counts the lock)
+  let newlyLocked = false;
+  if (record.failures >= maxFailures) {
+    const locked = await LoginThrottle.findOneAndUpdate(
+      { _id: record._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { ...update, $set: { lockedUntil: new Date(now.getTime() + LOGIN_LOCKOUT_MINUTES * 60 * 1000) }, $inc: { lockCount: 1 } },
+      { new: true }
+    );
+    newlyLocked = Boolean(locked);
+    record = locked || record;
+  }
+  if (!newlyLocked) {
+    record = await LoginThrottle.findOneAndUpdate({ _id: record._id }, update, { new: true }) || record;
+  }
+
+  return { record, newlyLocked };
+}
+
+/**
+ * Record a failed login for both the email and the IP.
+ *
+ * @param {string} email
+ * @param {string} ip
+ * @param {object} [user] - matching User document, if the email exists
+ * @returns {Promise<{ accountLocked: boolean }>} accountLocked is true when this failure locked the account
+ */
+async function recordLoginFailure(email, ip, user) {
+  const emailResult = await registerFailure('email', email, LOGIN_MAX_FAILURES, user ? user._id : null);
+  const ipResult = await registerFailure('ip', ip, LOGIN_IP_MAX_FAILURES);
+
+  if (ipResult.newlyLocked) {
+    console.warn('🔒 Login locked for IP after repeated failures:', ip);
+  }
+  if (emailResult.newlyLocked) {
+    console.warn('🔒 Login locked for email after repeated failures:', email);
+  }
+
+  return { accountLocked: emailResult.newlyLocked };
+}
+
+/**
+ * Clear the email counter after a successful login. The IP counter is kept so a
+ * valid login in between does not reset password spraying from that IP.
+ *
+ * @param {string} email
+ */
+async function recordLoginSuccess(email) {
+  await LoginThrottle.deleteOne({ type: 'email', key: email });
+}
+
+module.exports = {
+  LOGIN_MAX_FAILURES,
+  LOGIN_LOCKOUT_MINUTES,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+};
@@ -0,0 +1,56 @@
+/**
+ * Persist a Notification for a user and deliver it in real time.
+ * Emits the `notification` Socket.IO event to every connected socket of the user
+ * and, when `push` is set, also sends an Expo push notification.
+ */
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendPushToUser } = require('./pushNotification');
+
+/**
+ * Emit a Socket.IO event to every connected socket of a user.
+ *
+ * @param {object} app - Express app (io and socketsByUser are read from it)
+ * @param {string} userId
+ * @param {string} event
+ * @param {object} payload
+ * @returns {boolean} whether the user had a connected socket
+ */
+function emitToUser(app, userId, event, payload) {
+  const io = app && app.get('io');
+  const socketsByUser = app && app.get('socketsByUser');
+  const userSockets = io && socketsByUser ? socketsByUser.get(String(userId)) : null;
+  if (!userSockets) return false;
+  for (const sid of userSockets) {
+    io.to(sid).emit(event, payload);
+  }
+  return true;
+}
+
+/**
+ * @param {object} app - Express app (io and socketsByUser are read from it)
+ * @param {string} userId - User to notify
+ * @param {{ title: string, body: string, data?: object }} message
+ * @param {{ push?: boolean }} [options]
+ * @returns {Promise<object>} the saved Notification
+ */
+async function notifyUser(app, userId, { title, body, data = {} }, options = {}) {
+  const notif = await Notification.create({ user: userId, title, body, data });
+
+  emitToUser(app, userId, 'notification', {
+    id: notif._id,
+    title: notif.title,
+    body: notif.body,
+    data: notif.data,
+    createdAt: notif.createdAt
+  });
+
+  if (options.push) {
+    await sendPushToUser(User, userId, title, body, data);
+  }
+
+  return notif;
+}
+
+module.exports = { notifyUser, emitToUser };
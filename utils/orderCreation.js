@@ -0,0 +1,199 @@
+/**
+ * Order placement shared by POST /api/orders and the cart checkout
+ * (POST /api/cart/checkout): catalog access, product-in-catalog and variant
+ * checks, pricing, order number, initial status and admin notification.
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Catalog = require('../models/Catalog');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { notifyUser } = require('./notifyUser');
+const { nextOrderNumber } = require('./orderNumbers');
+const { priceProduct, orderTotal, effectiveWeight } = require('./pricing');
+const { resolveItemVariant } = require('./variants');
+
+// When ORDERS_REQUIRE_VERIFIED_EMAIL=true, unverified accounts can browse but not order
+const ORDERS_REQUIRE_VERIFIED_EMAIL = process.env.ORDERS_REQUIRE_VERIFIED_EMAIL === 'true';
+
+const requireVerifiedEmail = (req, res, next) => {
+  if (ORDERS_REQUIRE_VERIFIED_EMAIL && req.user.emailVerified === false) {
+    return res.status(403).json({
+      message: 'Please verify your email address before placing orders',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+  next();
+};
+
+// Error carrying the HTTP status to answer with (like pricing's pricingError)
+function orderError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Load a catalog the user may order from.
+ *
+ * @param {string} catalogId
+ * @param {object} user - req.user
+ * @returns {Promise<object>} Catalog document
+ * @throws {Error} with status 404/403
+ */
+async function loadOrderableCatalog(catalogId, user) {
+  const catalog = mongoose.Types.ObjectId.isValid(catalogId) ? await Catalog.findById(catalogId) : null;
+  if (!catalog) {
+    throw orderError('Catalog not found', 404);
+  }
+  if (!catalog.hasUserAccess(user.id)) {
+    throw orderError('Access denied to catalog', 403);
+  }
+  return catalog;
+}
+
+/**
+ * Check that a line can be ordered from a catalog: the product exists, is in
+ * the catalog and offers the requested variant.
+ *
+ * @param {object} catalog - Catalog document
+ * @param {{ productId: string, variantId?: string, size?: string, height?: string, clasp?: string }} item
+ * @returns {Promise<{ product: object, variant: object|null }>}
+ * @throws {Error} with status 404/400
+ */
+async function resolveOrderLine(catalog, item) {
+  const product = mongoose.Types.ObjectId.isValid(item.productId) ? await Product.findById(item.productId) : null;
+  if (!product) {
+    console.log('Product not found:', item.productId);
+    throw orderError(`Product ${item.productId} not found`, 404);
+  }
+
+  // Compare as strings to avoid ObjectId vs string mismatches
+  const productIdStr = item.productId.toString();
+  const inCatalog = (catalog.products || []).some(id => id.toString() === productIdStr);
+  if (!inCatalog) {
+    console.log('Product not in catalog:', product.name);
+    throw orderError(`Product ${product.name} is not in this catalog`, 400);
+  }
+
+  // Products with variants only accept one of their available combinations
+  const { variant, error } = resolveItemVariant(product, item);
+  if (error) {
+    throw orderError(error, 400);
+  }
+  return { product, variant };
+}
+
+/**
+ * Validate and price the items of a new order (weight-based products use
+ * today's metal rates).
+ *
+ * @param {object} catalog - Catalog document
+ * @param {Array<object>} items - { productId, quantity, variantId?, size?, height?, clasp? }
+ * @returns {Promise<object[]>} order items
+ * @throws {Error} with status 404/400/422
+ */
+async function buildOrderItems(catalog, items) {
+  const orderItems = [];
+  const pricingOptions = { at: new Date(), rateCache: new Map() };
+
+  for (const item of items) {
+    const { product, variant } = await resolveOrderLine(catalog, item);
+    const priced = await priceProduct(product, { ...pricingOptions, variant });
+
+    orderItems.push({
+      productId: product._id,
+      quantity: item.quantity,
+      price: priced.price,
+      weight: effectiveWeight(product, variant) || 0,
+      name: product.name,
+      size: variant ? variant.size : item.size,
+      clasp: variant ? variant.clasp : item.clasp,
+      height: variant ? variant.height : item.height,
+      variantId: variant ? variant._id : null,
+      sku: product.variantSku(variant),
+      pricing: priced.pricing
+    });
+  }
+  return orderItems;
+}
+
+// Tell every admin about a new order. Never throws.
+async function notifyAdminsOfNewOrder(app, user, order) {
+  try {
+    const admins = await User.find({ isAdmin: true }).select('_id');
+    for (const admin of admins) {
+      await notifyUser(app, admin._id, {
+        title: 'New order received',
+        body: `${user.name || user.email} placed a new order (${order.orderNumber})`,
+        data: { orderId: order._id, orderNumber: order.orderNumber }
+      });
+    }
+  } catch (err) {
+    console.error('Error notifying admins about new order:', err);
+  }
+}
+
+/**
+ * Create a pending order for the user.
+ *
+ * @param {object} app - Express app
+ * @param {object} user - req.user
+ * @param {{ catalog: object, items: object[], notes?: string, orderId?: object }} order - items as accepted
+ *   by POST /api/orders; `orderId` fixes the new order's _id (saving it twice fails with a duplicate key)
+ * @returns {Promise<object>} the saved Order
+ * @throws {Error} with a status when the items can't be ordered
+ */
+async function placeOrder(app, user, { catalog, items, notes, orderId }) {
+  const orderItems = await buildOrderItems(catalog, items);
+
+  const order = new Order({
+    ...(orderId ? { _id: orderId } : {}),
+    orderNumber: await nextOrderNumber(),
+    userId: user.id,
+    catalogId: catalog._id,
+    items: orderItems,
+    totalAmount: orderTotal(orderItems),
+    notes
+  });
+  order.recordStatus('pending', { actor: user });
+  await order.save();
+
+  await notifyAdminsOfNewOrder(app, user, order);
+  return order;
+}
+
+/**
+ * Order as returned right after creation: populated, with each item's size
+ * falling back to the product's.
+ *
+ * @param {object} order - Order document
+ * @returns {Promise<object>}
+ */
+async function orderCreatedResponse(order) {
+  let query = Order.findById(order._id)
+    .populate('catalogId', 'name description')
+    .populate('items.productId', 'name imageUrl size serialNumber weight showWeight type');
+  if (mongoose.Types.ObjectId.isValid(order.userId)) {
+    query = query.populate('userId', 'name email phone');
+  }
+  const populatedOrder = await query;
+
+  return {
+    ...populatedOrder.toObject(),
+    items: populatedOrder.items.map(item => ({
+      ...item.toObject(),
+      size: item.size || (item.productId?.size || '')
+    }))
+  };
+}
+
+module.exports = {
+  requireVerifiedEmail,
+  loadOrderableCatalog,
+  resolveOrderLine,
+  buildOrderItems,
+  placeOrder,
+  orderCreatedResponse
+};
@@ -0,0 +1,168 @@
+/**
+ * Order export for accounting: one row per order item, as CSV or XLSX.
+ *
+ * Orders are read with a MongoDB cursor and rows are written to the response
+ * as they come (exceljs' streaming workbook writer for XLSX), so memory use
+ * doesn't grow with the date range.
+ */
+
+const ExcelJS = require('exceljs');
+const { STATUS_LABELS, orderRef } = require('./orderNotifications');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// key, header, XLSX column width
+const EXPORT_COLUMNS = [
+  ['orderNumber', 'Order', 18],
+  ['orderDate', 'Date', 12],
+  ['status', 'Status', 14],
+  ['customerName', 'Customer', 24],
+  ['customerEmail', 'Email', 28],
+  ['customerPhone', 'Phone', 16],
+  ['catalog', 'Catalog', 20],
+  ['product', 'Product', 28],
+  ['serialNumber', 'Serial number', 16],
+  ['sku', 'SKU', 22],
+  ['size', 'Size', 8],
+  ['clasp', 'Clasp', 12],
+  ['height', 'Height', 8],
+  ['weight', 'Unit weight (g)', 14],
+  ['quantity', 'Quantity', 10],
+  ['lineWeight', 'Total weight (g)', 15],
+  ['unitPrice', 'Unit price', 12],
+  ['lineTotal', 'Line total', 12],
+  ['orderTotal', 'Order total', 12]
+];
+
+const round = (value, decimals = 2) => Number((Number(value) || 0).toFixed(decimals));
+
+const customerOf = (order) => {
+  if (order.customerDeletedAt) return { name: 'Customer account deleted', email: '', phone: '' };
+  const customer = order.userId && typeof order.userId === 'object' && order.userId.email ? order.userId : null;
+  return customer
+    ? { name: customer.name || '', email: customer.email || '', phone: customer.phone || '' }
+    : { name: '', email: '', phone: '' };
+};
+
+/**
+ * Rows of one order (userId, catalogId and items.productId populated).
+ *
+ * @param {object} order
+ * @returns {object[]} one object per item, keyed like EXPORT_COLUMNS
+ */
+function orderExportRows(order) {
+  const customer = customerOf(order);
+  return order.items.map(item => {
+    const product = item.productId && typeof item.productId === 'object' ? item.productId : {};
+    return {
+      orderNumber: orderRef(order),
+      orderDate: new Date(order.createdAt).toISOString().slice(0, 10),
+      status: STATUS_LABELS[order.status] || order.status,
+      customerName: customer.name,
+      customerEmail: customer.email,
+      customerPhone: customer.phone,
+      catalog: order.catalogId && order.catalogId.name ? order.catalogId.name : '',
+      product: item.name || product.name || '',
+      serialNumber: product.serialNumber || '',
+      sku: item.sku || product.serialNumber || '',
+      size: item.size || '',
+      clasp: item.clasp || '',
+      height: item.height || '',
+      weight: round(item.weight, 3),
+      quantity: item.quantity,
+      lineWeight: round((Number(item.weight) || 0) * item.quantity, 3),
+      unitPrice: round(item.price),
+      lineTotal: round(item.price * item.quantity),
+      orderTotal: round(order.totalAmount)
+    };
+  });
+}
+
+// RFC 4180 quoting; cells starting like a formula are prefixed so spreadsheet
+// apps don't evaluate customer-entered text
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+// Wait until the stream's buffer is drained; fails if the client went away meanwhile
+function drained(stream) {
+  if (stream.destroyed) return Promise.reject(new Error('Export output closed'));
+  if (!stream.writableNeedDrain) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const done = (err) => {
+      stream.off('drain', onDrain);
+      stream.off('close', onClose);
+      if (err) reject(err); else resolve();
+    };
+    const onDrain = () => done();
+    const onClose = () => done(new Error('Export output closed'));
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+  });
+}
+
+// Write respecting backpressure
+function write(stream, chunk) {
+  if (stream.destroyed) return Promise.reject(new Error('Export output closed'));
+  stream.write(chunk);
+  return drained(stream);
+}
+
+/**
+ * Stream orders from a cursor to a writable (the HTTP response).
+ *
+ * @param {AsyncIterable<object>} cursor - orders, populated as for orderExportRows
+ * @param {import('stream').Writable} output
+ * @param {'csv'|'xlsx'} format
+ * @returns {Promise<{ orders: number, rows: number }>}
+ */
+async function streamOrderExport(cursor, output, format) {
+  const counts = { orders: 0, rows: 0 };
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+    const sheet = workbook.addWorksheet('Orders', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = EXPORT_COLUMNS.map(([key, header, width]) => ({ key, header, width }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for await (const order of cursor) {
+      counts.orders += 1;
+      for (const row of orderExportRows(order)) {
+        sheet.addRow(row).commit();
+        counts.rows += 1;
+      }
+      // exceljs writes to the output as rows are committed, without waiting on it
+      await drained(output);
+    }
+    sheet.commit();
+    await workbook.commit();
+    return counts;
+  }
+
+  // BOM so Excel opens the UTF-8 (e.g. Arabic names) correctly
+  await write(output, `\uFEFF${csvLine(EXPORT_COLUMNS.map(([, header]) => header))}`);
+  for await (const order of cursor) {
+    counts.orders += 1;
+    for (const row of orderExportRows(order)) {
+      await write(output, csvLine(EXPORT_COLUMNS.map(([key]) => row[key])));
+      counts.rows += 1;
+    }
+  }
+  output.end();
+  return counts;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  orderExportRows,
+  streamOrderExport
+};
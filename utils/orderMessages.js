@@ -0,0 +1,146 @@
+/**
+ * Order conversations (see models/OrderMessage.js).
+ *
+ * A new message is pushed in real time (`order_message` Socket.IO event) to
+ * everyone in the conversation who may see it, and the other party gets a
+ * notification: staff (admins and staff who already answered) when the
+ * customer writes, the customer when staff write. Internal notes only reach
+ * staff, in real time, without a notification.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const OrderMessage = require('../models/OrderMessage');
+const { notifyUser, emitToUser } = require('./notifyUser');
+const { orderRef } = require('./orderNotifications');
+
+const MAX_TEXT_LENGTH = 5000;
+const MAX_ATTACHMENTS = 5;
+
+// Attachments must be images uploaded through /api/upload/image: the Cloudinary
+// secure_url of our cloud's "products" folder, never an arbitrary link
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const CLOUD_NAME = process.env.CLOUDINARY_CLOUD_NAME ? escapeRegExp(process.env.CLOUDINARY_CLOUD_NAME) : '[a-z0-9_-]+';
+const ATTACHMENT_URL = new RegExp(`^https://res\\.cloudinary\\.com/${CLOUD_NAME}/image/upload/(v\\d+/)?products/[^/?#\\s]+$`);
+
+/**
+ * Validate the body of a new message.
+ *
+ * @param {{ text?: string, attachments?: string[] }} body
+ * @returns {string|null} error message, or null when valid
+ */
+function validateMessage({ text, attachments }) {
+  if (text !== undefined && typeof text !== 'string') return 'text must be a string';
+  if (attachments !== undefined) {
+    if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS) {
+      return `attachments must be a list of at most ${MAX_ATTACHMENTS} image URLs`;
+    }
+    if (attachments.some(url => typeof url !== 'string' || url.length > 2048 || !ATTACHMENT_URL.test(url))) {
+      return 'attachments must be image URLs from /api/upload/image';
+    }
+  }
+  if (!(text || '').trim() && !(attachments || []).length) return 'A message needs text or an attachment';
+  if ((text || '').length > MAX_TEXT_LENGTH) return `text must be at most ${MAX_TEXT_LENGTH} characters`;
+  return null;
+}
+
+// Staff in the conversation: admins, and staff who already wrote in it
+async function staffParticipants(order) {
+  const admins = await User.find({ isAdmin: true }).select('_id');
+  const writers = await OrderMessage.distinct('senderId', { orderId: order._id, senderRole: 'staff' });
+  return [...new Set([...admins.map(admin => String(admin._id)), ...writers.map(String)])];
+}
+
+/**
+ * Deliver a new message to the other participants. Never throws.
+ *
+ * @param {object} app - Express app
+ * @param {object} order - Order document
+ * @param {object} message - saved OrderMessage
+ */
+async function deliverOrderMessage(app, order, message) {
+  try {
+    const senderId = String(message.senderId);
+    const customerId = order.customerDeletedAt ? null : String(order.userId);
+    const staff = (await staffParticipants(order)).filter(id => id !== senderId && id !== customerId);
+
+    for (const userId of staff) {
+      emitToUser(app, userId, 'order_message', message.toPublic({ staff: true }));
+    }
+    if (customerId && customerId !== senderId && !message.internal) {
+      emitToUser(app, customerId, 'order_message', message.toPublic());
+    }
+
+    if (message.internal) return;
+
+    const preview = message.text
+      ? (message.text.length > 120 ? `${message.text.slice(0, 117)}...` : message.text)
+      : 'Sent an image';
+    const data = { type: 'order_message', orderId: order._id.toString(), messageId: message._id.toString() };
+
+    if (message.senderRole === 'customer') {
+      for (const userId of staff) {
+        if (!mongoose.Types.ObjectId.isValid(userId)) continue;
+        await notifyUser(app, userId, {
+          title: `Message about order ${orderRef(order)}`,
+          body: `${message.senderName || 'Customer'}: ${preview}`,
+          data
+        });
+      }
+    } else if (customerId && mongoose.Types.ObjectId.isValid(customerId)) {
+      await notifyUser(app, customerId, {
+        title: `New message about your order ${orderRef(order)}`,
+        body: preview,
+        data
+      }, { push: true });
+    }
+  } catch (err) {
+    console.error('Error delivering order message:', err);
+  }
+}
+
+/**
+ * Mark the messages of an order as read by a user, and tell the other
+ * participants in real time (`order_messages_read` event).
+ *
+ * @param {object} app - Express app
+ * @param {object} order - Order document
+ * @param {string} userId
+ * @param {{ staff: boolean, upTo?: Date }} options - customers never mark internal
+ *   notes; `upTo` limits the receipts to messages sent until then
+ * @returns {Promise<number>} number of messages newly marked
+ */
+async function markOrderMessagesRead(app, order, userId, { staff, upTo = new Date() }) {
+  const filter = {
+    orderId: order._id,
+    createdAt: { $lte: upTo },
+    'readBy.userId': { $ne: String(userId) }
+  };
+  if (!staff) filter.internal = false;
+
+  const at = new Date();
+  const result = await OrderMessage.updateMany(filter, { $push: { readBy: { userId: String(userId), at } } });
+  const marked = result.modifiedCount || 0;
+
+  if (marked > 0) {
+    try {
+      const receipt = { orderId: order._id.toString(), role: staff ? 'staff' : 'customer', upTo, at };
+      const customerId = order.customerDeletedAt ? null : String(order.userId);
+      for (const id of await staffParticipants(order)) {
+        if (id !== String(userId)) emitToUser(app, id, 'order_messages_read', { ...receipt, userId: String(userId) });
+      }
+      if (staff && customerId && customerId !== String(userId)) {
+        emitToUser(app, customerId, 'order_messages_read', receipt);
+      }
+    } catch (err) {
+      console.error('Error sending read receipts:', err);
+    }
+  }
+  return marked;
+}
+
+module.exports = {
+  validateMessage,
+  deliverOrderMessage,
+  markOrderMessagesRead
+};
@@ -0,0 +1,169 @@
+/**
+ * Customer notifications for order status changes (and item revisions).
+ *
+ * Each status has a message template (title + body) with placeholders:
+ *  {orderRef}      order reference shown to the customer
+ *  {customerName}  customer's name
+ *  {status}        new status, human readable
+ *  {comment}       comment left with the status change (may be empty)
+ *
+ * Admins can override the defaults below (see OrderStatusTemplate and
+ * /api/admin/order-status-templates).
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const OrderStatusTemplate = require('../models/OrderStatusTemplate');
+const { notifyUser } = require('./notifyUser');
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  in_production: 'In production',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled'
+};
+
+const DEFAULT_TEMPLATES = {
+  pending: {
+    title: 'Order received',
+    body: 'Your order {orderRef} was received and is waiting for confirmation.'
+  },
+  confirmed: {
+    title: 'Order confirmed',
+    body: 'Good news {customerName}, your order {orderRef} is confirmed.'
+  },
+  in_production: {
+    title: 'Order in production',
+    body: 'Your order {orderRef} is now being made in our workshop.'
+  },
+  shipped: {
+    title: 'Order shipped',
+    body: 'Your order {orderRef} is on its way.'
+  },
+  delivered: {
+    title: 'Order delivered',
+    body: 'Your order {orderRef} was delivered. Thank you for your trust!'
+  },
+  cancelled: {
+    title: 'Order cancelled',
+    body: 'Your order {orderRef} was cancelled. {comment}'
+  }
+};
+
+const PLACEHOLDERS = ['orderRef', 'customerName', 'status', 'comment'];
+
+// Replace {placeholder} tokens; unknown tokens are left as is
+const renderTemplate = (text, values) => String(text)
+  .replace(/\{(\w+)\}/g, (match, key) => (Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match))
+  .replace(/[ \t]{2,}/g, ' ')
+  .trim();
+
+// Reference of an order as shown to customers (legacy orders have no number)
+const orderRef = (order) => order.orderNumber || `#${order._id.toString().slice(-6).toUpperCase()}`;
+
+/**
+ * Effective template of every status (admin override or default).
+ *
+ * @returns {Promise<object[]>}
+ */
+async function listTemplates() {
+  const overrides = await OrderStatusTemplate.find({}).lean();
+  return Order.ORDER_STATUSES.map(status => {
+    const override = overrides.find(t => t.status === status);
+    return {
+      status,
+      label: STATUS_LABELS[status] || status,
+      title: override ? override.title : DEFAULT_TEMPLATES[status].title,
+      body: override ? override.body : DEFAULT_TEMPLATES[status].body,
+      enabled: override ? override.enabled : true,
+      push: override ? override.push : true,
+      customized: Boolean(override),
+      updatedAt: override ? override.updatedAt : null
+    };
+  });
+}
+
+/**
+ * Tell the customer their order moved to its current status.
+ * Never throws: a failed notification must not fail the status change.
+ *
+ * @param {object} app - Express app
+ * @param {object} order - Order document (userId may be populated)
+ * @param {{ comment?: string }} [options]
+ * @returns {Promise<object|null>} the Notification, or null when nothing was sent
+ */
+async function notifyOrderStatusChange(app, order, { comment = '' } = {}) {
+  try {
+    const customerId = order.userId && order.userId._id ? order.userId._id : order.userId;
+    if (order.customerDeletedAt || !mongoose.Types.ObjectId.isValid(customerId)) return null;
+
+    const customer = await User.findById(customerId).select('name email');
+    if (!customer) return null;
+
+    const override = await OrderStatusTemplate.findOne({ status: order.status }).lean();
+    const template = override || { ...DEFAULT_TEMPLATES[order.status], enabled: true, push: true };
+    if (!template.enabled) return null;
+
+    const values = {
+      orderRef: orderRef(order),
+      customerName: customer.name || '',
+      status: STATUS_LABELS[order.status] || order.status,
+      comment: comment || ''
+    };
+
+    return await notifyUser(app, customer._id, {
+      title: renderTemplate(template.title, values),
+      body: renderTemplate(template.body, values),
+      data: { type: 'order_status', orderId: order._id.toString(), status: order.status }
+    }, { push: template.push });
+  } catch (err) {
+    console.error('Error notifying customer about order status:', err);
+    return null;
+  }
+}
+
+/**
+ * Tell the customer their order's items were changed by staff.
+ * Never throws: a failed notification must not fail the change.
+ *
+ * @param {object} app - Express app
+ * @param {object} order - Order document, after the change
+ * @param {{ summary: string[], comment?: string }} revision - one line per change
+ * @returns {Promise<object|null>} the Notification, or null when nothing was sent
+ */
+async function notifyOrderRevision(app, order, { summary, comment = '' }) {
+  try {
+    const customerId = order.userId && order.userId._id ? order.userId._id : order.userId;
+    if (order.customerDeletedAt || !mongoose.Types.ObjectId.isValid(customerId)) return null;
+
+    const body = [
+      `Your order ${orderRef(order)} was updated:`,
+      ...summary,
+      `New total: ${Number(order.totalAmount).toFixed(2)}`,
+      comment || ''
+    ].filter(Boolean).join('\n');
+
+    return await notifyUser(app, customerId, {
+      title: 'Order updated',
+      body,
+      data: { type: 'order_revision', orderId: order._id.toString(), revision: order.revisions.length }
+    }, { push: true });
+  } catch (err) {
+    console.error('Error notifying customer about order revision:', err);
+    return null;
+  }
+}
+
+module.exports = {
+  STATUS_LABELS,
+  DEFAULT_TEMPLATES,
+  PLACEHOLDERS,
+  renderTemplate,
+  orderRef,
+  listTemplates,
+  notifyOrderStatusChange,
+  notifyOrderRevision
+};
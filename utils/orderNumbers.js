@@ -0,0 +1,43 @@
+/**
+ * Human-readable order numbers: "<prefix>-<year>-<sequence>", e.g. ASW-2026-000123.
+ * The sequence restarts every year.
+ *
+ * Config (env):
+ *  - ORDER_NUMBER_PREFIX   prefix (default ASW)
+ */
+
+const Counter = require('../models/Counter');
+
+const ORDER_NUMBER_PREFIX = (process.env.ORDER_NUMBER_PREFIX || 'ASW').trim().toUpperCase();
+const SEQUENCE_DIGITS = 6;
+
+/**
+ * Reserve the next order number.
+ *
+ * @param {Date} [date] - date the order is placed (decides the year)
+ * @returns {Promise<string>}
+ */
+async function nextOrderNumber(date = new Date()) {
+  const year = date.getFullYear();
+  const seq = await Counter.next(`order-${year}`);
+  return `${ORDER_NUMBER_PREFIX}-${year}-${String(seq).padStart(SEQUENCE_DIGITS, '0')}`;
+}
+
+/**
+ * Normalize user input for a number search ("asw-2026-123" -> "ASW-2026-000123").
+ *
+ * @param {string} input
+ * @returns {string}
+ */
+function normalizeOrderNumber(input) {
+  const value = String(input || '').trim().toUpperCase();
+  const match = value.match(/^([A-Z0-9]+)-(\d{4})-(\d+)$/);
+  if (!match) return value;
+  return `${match[1]}-${match[2]}-${match[3].padStart(SEQUENCE_DIGITS, '0')}`;
+}
+
+module.exports = {
+  ORDER_NUMBER_PREFIX,
+  nextOrderNumber,
+  normalizeOrderNumber
+};
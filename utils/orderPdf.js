@@ -0,0 +1,247 @@
+/**
+ * PDF order confirmation / proforma invoice, rendered on the server with PDFKit
+ * (no external rendering service).
+ *
+ * Config (env):
+ *  - ORDER_PDF_COMPANY_NAME      header title (default Asawer)
+ *  - ORDER_PDF_COMPANY_DETAILS   header lines (address, phone, tax id...), separated by "|"
+ *  - ORDER_PDF_FOOTER            footer text on every page
+ *  - ORDER_PDF_LOGO              path to a PNG/JPEG logo on the server
+ *  - ORDER_PDF_FONT              path to a TTF font (e.g. one with Arabic glyphs); default Helvetica
+ *  - ORDER_PDF_CURRENCY          appended to amounts (default none)
+ *  - ORDER_PDF_REMOTE_IMAGES     'true' to download remote product images; by default PDFs are
+ *                                rendered offline and remote images get a placeholder
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { STATUS_LABELS, orderRef } = require('./orderNotifications');
+
+const COMPANY_NAME = process.env.ORDER_PDF_COMPANY_NAME || 'Asawer';
+const COMPANY_DETAILS = (process.env.ORDER_PDF_COMPANY_DETAILS || '').split('|').map(l => l.trim()).filter(Boolean);
+const FOOTER = process.env.ORDER_PDF_FOOTER || '';
+const LOGO_PATH = process.env.ORDER_PDF_LOGO || '';
+const FONT_PATH = process.env.ORDER_PDF_FONT || '';
+const CURRENCY = process.env.ORDER_PDF_CURRENCY || '';
+const REMOTE_IMAGES = process.env.ORDER_PDF_REMOTE_IMAGES === 'true';
+const REMOTE_IMAGE_TIMEOUT_MS = 3000;
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+const DOCUMENT_TITLES = {
+  confirmation: 'Order confirmation',
+  proforma: 'Proforma invoice'
+};
+
+const formatAmount = (value) => `${(Number(value) || 0).toFixed(2)}${CURRENCY ? ` ${CURRENCY}` : ''}`;
+const formatWeight = (value) => `${(Number(value) || 0).toFixed(2)} g`;
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// PDFKit only embeds PNG and JPEG
+const isSupportedImage = (buffer) => buffer && buffer.length > 4 && (
+  (buffer[0] === 0xff && buffer[1] === 0xd8) || // JPEG
+  (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4e && buffer[3] === 0x47) // PNG
+);
+
+/**
+ * Load a product image as a buffer, or null when it can't be embedded.
+ * Files under /uploads are read from disk; remote images (Cloudinary) are
+ * only downloaded (with a short timeout) when ORDER_PDF_REMOTE_IMAGES=true.
+ *
+ * @param {string} url
+ * @returns {Promise<Buffer|null>}
+ */
+async function loadImage(url) {
+  if (!url) return null;
+  try {
+    let buffer = null;
+    if (url.startsWith('data:image/')) {
+      buffer = Buffer.from(url.split(',')[1] || '', 'base64');
+    } else if (/^https?:\/\//.test(url) && !url.includes('/uploads/')) {
+      if (!REMOTE_IMAGES) return null;
+      // Ask Cloudinary for a small JPEG whatever the original format
+      const source = url.includes('res.cloudinary.com') && url.includes('/upload/')
+        ? url.replace('/upload/', '/upload/f_jpg,w_160/')
+        : url;
+      const response = await fetch(source, { signal: AbortSignal.timeout(REMOTE_IMAGE_TIMEOUT_MS) });
+      if (!response.ok) return null;
+      buffer = Buffer.from(await response.arrayBuffer());
+    } else {
+      const file = path.join(UPLOADS_DIR, path.basename(url.split('?')[0]));
+      buffer = await fs.promises.readFile(file);
+    }
+    return isSupportedImage(buffer) ? buffer : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+const customerLines = (order) => {
+  if (order.customerDeletedAt) return ['Customer account deleted'];
+  const customer = order.userId && typeof order.userId === 'object' && order.userId.email ? order.userId : null;
+  if (!customer) return ['Unknown customer'];
+  return [customer.name, customer.email, customer.phone].filter(Boolean);
+};
+
+/**
+ * Render an order as a PDF.
+ *
+ * @param {object} order - Order document with userId and items.productId populated
+ * @param {{ type?: 'confirmation'|'proforma' }} [options]
+ * @returns {Promise<Buffer>}
+ */
+async function renderOrderPdf(order, { type = 'confirmation' } = {}) {
+  const images = await Promise.all(order.items.map(item => loadImage(item.productId && item.productId.imageUrl)));
+  const logo = LOGO_PATH ? await fs.promises.readFile(LOGO_PATH).catch(() => null) : null;
+
+  const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true, info: { Title: `${DOCUMENT_TITLES[type]} ${orderRef(order)}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const regular = FONT_PATH ? 'Custom' : 'Helvetica';
+  const bold = FONT_PATH ? 'Custom' : 'Helvetica-Bold';
+  if (FONT_PATH) doc.registerFont('Custom', FONT_PATH);
+
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const width = right - left;
+  const bottomLimit = doc.page.height - doc.page.margins.bottom - 40;
+
+  // Header: logo + company on the left, document title on the right
+  let headerX = left;
+  if (logo && isSupportedImage(logo)) {
+    doc.image(logo, left, 40, { fit: [60, 60] });
+    headerX = left + 70;
+  }
+  doc.font(bold).fontSize(18).text(COMPANY_NAME, headerX, 40);
+  doc.font(regular).fontSize(9);
+  for (const line of COMPANY_DETAILS) doc.text(line, headerX);
+
+  doc.font(bold).fontSize(14).text(DOCUMENT_TITLES[type], left, 40, { width, align: 'right' });
+  doc.font(regular).fontSize(10)
+    .text(orderRef(order), { width, align: 'right' })
+    .text(`Date: ${formatDate(order.createdAt)}`, { width, align: 'right' })
+    .text(`Status: ${STATUS_LABELS[order.status] || order.status}`, { width, align: 'right' });
+
+  // Customer
+  let y = Math.max(doc.y, 110) + 15;
+  doc.font(bold).fontSize(10).text('Customer', left, y);
+  doc.font(regular);
+  for (const line of customerLines(order)) doc.text(line);
+  if (order.catalogId && order.catalogId.name) doc.text(`Catalog: ${order.catalogId.name}`);
+
+  // Items table
+  const columns = [
+    { key: 'image', label: '', width: 46 },
+    { key: 'product', label: 'Product', width: 130 },
+    { key: 'size', label: 'Size', width: 42 },
+    { key: 'clasp', label: 'Clasp', width: 50 },
+    { key: 'height', label: 'Height', width: 42 },
+    { key: 'weight', label: 'Weight', width: 50 },
+    { key: 'quantity', label: 'Qty', width: 30 },
+    { key: 'price', label: 'Unit price', width: 62 },
+    { key: 'total', label: 'Total', width: width - 452 }
+  ];
+  const rowHeight = 46;
+
+  const drawTableHeader = () => {
+    doc.font(bold).fontSize(9);
+    let x = left;
+    for (const column of columns) {
+      doc.text(column.label, x + 2, y, { width: column.width - 4 });
+      x += column.width;
+    }
+    y += 14;
+    doc.moveTo(left, y).lineTo(right, y).stroke();
+    y += 4;
+    doc.font(regular).fontSize(9);
+  };
+
+  y = doc.y + 20;
+  drawTableHeader();
+
+  let totalWeight = 0;
+  order.items.forEach((item, index) => {
+    if (y + rowHeight > bottomLimit) {
+      doc.addPage();
+      y = doc.page.margins.top;
+      drawTableHeader();
+    }
+
+    const product = item.productId && typeof item.productId === 'object' ? item.productId : {};
+    const lineWeight = (Number(item.weight) || 0) * item.quantity;
+    totalWeight += lineWeight;
+
+    const cells = {
+      product: [item.name, item.sku || product.serialNumber ? `Ref. ${item.sku || product.serialNumber}` : ''].filter(Boolean).join('\n'),
+      size: item.size || '-',
+      clasp: item.clasp || '-',
+      height: item.height || '-',
+      weight: formatWeight(item.weight),
+      quantity: String(item.quantity),
+      price: formatAmount(item.price),
+      total: formatAmount(item.price * item.quantity)
+    };
+
+    let x = left;
+    for (const column of columns) {
+      if (column.key === 'image') {
+        if (images[index]) {
+          doc.image(images[index], x + 2, y, { fit: [40, 40] });
+        } else {
+          doc.rect(x + 2, y, 40, 40).strokeColor('#cccccc').stroke().strokeColor('#000000');
+        }
+      } else {
+        doc.text(cells[column.key], x + 2, y, { width: column.width - 4, height: rowHeight - 4, ellipsis: true });
+      }
+      x += column.width;
+    }
+    y += rowHeight;
+    doc.moveTo(left, y - 3).lineTo(right, y - 3).strokeColor('#eeeeee').stroke().strokeColor('#000000');
+  });
+
+  // Totals
+  if (y + 70 > bottomLimit) {
+    doc.addPage();
+    y = doc.page.margins.top;
+  }
+  y += 10;
+  const totalsX = right - 220;
+  const totalLine = (label, value, font = regular) => {
+    doc.font(font).fontSize(10).text(label, totalsX, y, { width: 120 });
+    doc.text(value, totalsX + 120, y, { width: 100, align: 'right' });
+    y += 16;
+  };
+  totalLine('Items', String(order.items.reduce((sum, item) => sum + item.quantity, 0)));
+  totalLine('Total metal weight', formatWeight(totalWeight));
+  totalLine('Total', formatAmount(order.totalAmount), bold);
+
+  if (order.notes) {
+    doc.font(bold).fontSize(10).text('Notes', left, y + 10);
+    doc.font(regular).fontSize(9).text(order.notes, { width });
+  }
+
+  // Footer and page numbers on every page
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i += 1) {
+    doc.switchToPage(i);
+    const footerY = doc.page.height - doc.page.margins.bottom - 20;
+    doc.font(regular).fontSize(8).fillColor('#666666');
+    if (FOOTER) doc.text(FOOTER, left, footerY, { width: width - 60, lineBreak: false });
+    doc.text(`${i - range.start + 1} / ${range.count}`, right - 60, footerY, { width: 60, align: 'right', lineBreak: false });
+    doc.fillColor('#000000');
+  }
+
+  doc.end();
+  return done;
+}
+
+module.exports = {
+  DOCUMENT_TITLES,
+  renderOrderPdf
+};
@@ -0,0 +1,145 @@
+/**
+ * Item changes made by staff on an existing order (PATCH /api/orders/:id).
+ *
+ * Added lines and lines whose options change are validated and priced like a
+ * new order (utils/orderCreation.js). Quantity-only changes keep the unit price
+ * the customer was quoted, but the product must still be orderable.
+ */
+
+const mongoose = require('mongoose');
+const { buildOrderItems, resolveOrderLine } = require('./orderCreation');
+const { orderTotal } = require('./pricing');
+
+const OPTION_FIELDS = ['variantId', 'size', 'height', 'clasp'];
+const TRACKED_FIELDS = ['quantity', 'size', 'height', 'clasp', 'sku', 'price', 'weight'];
+
+// Error carrying the HTTP status to answer with (like pricing's pricingError)
+function revisionError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const isValidQuantity = (quantity) => Number.isInteger(Number(quantity)) && Number(quantity) >= 1;
+
+const pickTracked = (item) => TRACKED_FIELDS.reduce((values, field) => {
+  values[field] = item[field] === undefined ? null : item[field];
+  return values;
+}, {});
+
+const findItem = (order, itemId) => {
+  const item = mongoose.Types.ObjectId.isValid(itemId) ? order.items.id(itemId) : null;
+  if (!item) throw revisionError(`Order item ${itemId} not found`, 404);
+  return item;
+};
+
+/**
+ * Apply item changes to an order in memory and recompute its total.
+ *
+ * @param {object} order - Order document (not saved here)
+ * @param {object} catalog - the order's Catalog document
+ * @param {object} edits
+ * @param {Array<object>} [edits.add] - new lines, as in POST /api/orders
+ * @param {Array<object>} [edits.update] - { itemId, quantity?, variantId?, size?, height?, clasp? }
+ * @param {Array<string>} [edits.remove] - item ids
+ * @returns {Promise<object[]>} the changes, as stored in the order's revisions
+ * @throws {Error} with status 400/404/422 when an edit is invalid
+ */
+async function applyOrderRevision(order, catalog, { add = [], update = [], remove = [] }) {
+  if (!Array.isArray(add) || !Array.isArray(update) || !Array.isArray(remove)) {
+    throw revisionError('add, update and remove must be arrays');
+  }
+  if (!add.length && !update.length && !remove.length) {
+    throw revisionError('Nothing to change');
+  }
+
+  const changes = [];
+
+  for (const itemId of remove) {
+    const item = findItem(order, itemId);
+    changes.push({ action: 'remove', itemId: item._id.toString(), name: item.name, quantity: item.quantity });
+    item.deleteOne();
+  }
+
+  for (const edit of update) {
+    const item = findItem(order, edit && edit.itemId);
+    if (edit.quantity !== undefined && !isValidQuantity(edit.quantity)) {
+      throw revisionError('quantity must be a whole number >= 1');
+    }
+    const before = pickTracked(item);
+    const quantity = edit.quantity !== undefined ? Number(edit.quantity) : item.quantity;
+
+    if (OPTION_FIELDS.some(field => edit[field] !== undefined)) {
+      // New options are a new line for the same product: validated and priced today.
+      // They replace the old variant unless one is given.
+      const line = { productId: item.productId, quantity, variantId: edit.variantId || null };
+      for (const field of ['size', 'height', 'clasp']) {
+        line[field] = edit[field] !== undefined ? edit[field] : item[field];
+      }
+      const [built] = await buildOrderItems(catalog, [line]);
+      item.set(built);
+    } else {
+      await resolveOrderLine(catalog, item);
+      item.quantity = quantity;
+    }
+
+    const after = pickTracked(item);
+    const diff = {};
+    for (const field of TRACKED_FIELDS) {
+      if (String(before[field]) !== String(after[field])) diff[field] = { from: before[field], to: after[field] };
+    }
+    if (Object.keys(diff).length) {
+      changes.push({ action: 'update', itemId: item._id.toString(), name: item.name, changes: diff });
+    }
+  }
+
+  if (add.length) {
+    for (const line of add) {
+      if (!line || !line.productId || !isValidQuantity(line.quantity)) {
+        throw revisionError('Each added item must have productId and quantity >= 1');
+      }
+    }
+    for (const built of await buildOrderItems(catalog, add)) {
+      order.items.push(built);
+      const item = order.items[order.items.length - 1];
+      changes.push({
+        action: 'add',
+        itemId: item._id.toString(),
+        name: item.name,
+        quantity: item.quantity,
+        size: item.size || null,
+        height: item.height || null,
+        clasp: item.clasp || null
+      });
+    }
+  }
+
+  if (!order.items.length) {
+    throw revisionError('An order needs at least one item: cancel it instead');
+  }
+
+  order.totalAmount = orderTotal(order.items);
+  return changes;
+}
+
+/**
+ * One line per change, for notifications, e.g. "Bracelet: size 56 -> 58".
+ *
+ * @param {object[]} changes - from applyOrderRevision
+ * @returns {string[]}
+ */
+function describeRevision(changes) {
+  return changes.map(change => {
+    if (change.action === 'add') return `Added ${change.quantity} x ${change.name}`;
+    if (change.action === 'remove') return `Removed ${change.name}`;
+    const parts = Object.entries(change.changes)
+      .filter(([field]) => ['quantity', 'size', 'height', 'clasp'].includes(field))
+      .map(([field, { from, to }]) => `${field} ${from || '-'} -> ${to || '-'}`);
+    return `${change.name}: ${parts.length ? parts.join(', ') : 'price updated'}`;
+  });
+}
+
+module.exports = {
+  applyOrderRevision,
+  describeRevision
+};
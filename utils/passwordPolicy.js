@@ -0,0 +1,82 @@
+/**
+ * Password policy enforced on register, password change/reset and admin user creation.
+ *
+ * Config (env):
+ *  - PASSWORD_MIN_LENGTH       minimum length (default 8)
+ *  - PASSWORD_HISTORY_SIZE     previous passwords that can't be reused (default 5, 0 disables)
+ *  - PASSWORD_BLOCKLIST_FILE   list of common/breached passwords, one per line
+ *                              (default data/common-passwords.txt; lines starting with # are ignored)
+ *  - PASSWORD_CHECK_COMMON     set to 'false' to skip the blocklist check
+ */
+
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+const PASSWORD_MAX_LENGTH = 128;
+const PASSWORD_HISTORY_SIZE = process.env.PASSWORD_HISTORY_SIZE !== undefined
+  ? Number(process.env.PASSWORD_HISTORY_SIZE) || 0
+  : 5;
+const PASSWORD_CHECK_COMMON = process.env.PASSWORD_CHECK_COMMON !== 'false';
+const BLOCKLIST_FILE = process.env.PASSWORD_BLOCKLIST_FILE
+  || path.join(__dirname, '../data/common-passwords.txt');
+
+// Loaded once at startup
+let commonPasswords = new Set();
+try {
+  commonPasswords = new Set(
+    fs.readFileSync(BLOCKLIST_FILE, 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.trim().toLowerCase())
+      .filter(line => line && !line.startsWith('#'))
+  );
+} catch (err) {
+  console.warn('⚠️ Could not load password blocklist from', BLOCKLIST_FILE, '-', err.message);
+}
+
+/**
+ * Check a candidate password against the policy.
+ *
+ * @param {string} password - candidate (plain text)
+ * @param {object} [user] - existing User document, loaded with +passwordHistory,
+ *   to refuse reusing the current or a recent password
+ * @returns {Promise<string[]>} list of violated rules (empty when the password is acceptable)
+ */
+async function validatePassword(password, user) {
+  const errors = [];
+  const candidate = typeof password === 'string' ? password : '';
+
+  if (candidate.length < PASSWORD_MIN_LENGTH) {
+    errors.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+  }
+  if (candidate.length > PASSWORD_MAX_LENGTH) {
+    errors.push(`Password must be at most ${PASSWORD_MAX_LENGTH} characters`);
+  }
+  if (PASSWORD_CHECK_COMMON && commonPasswords.has(candidate.toLowerCase())) {
+    errors.push('Password is too common, choose a less predictable one');
+  }
+  if (user && user.email && candidate.toLowerCase() === String(user.email).toLowerCase()) {
+    errors.push('Password must not be your email address');
+  }
+
+  if (user && candidate && PASSWORD_HISTORY_SIZE > 0) {
+    const previous = [user.password, ...(user.passwordHistory || [])]
+      .filter(hash => hash && hash.startsWith('$2'))
+      .slice(0, PASSWORD_HISTORY_SIZE);
+    for (const hash of previous) {
+      if (await bcrypt.compare(candidate, hash)) {
+        errors.push(`Password must differ from your last ${PASSWORD_HISTORY_SIZE} passwords`);
+        break;
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_HISTORY_SIZE,
+  validatePassword
+};
@@ -0,0 +1,136 @@
+/**
+ * Order pricing engine.
+ *
+ * Products with a `metal` and a weight are priced at order time:
+ *   unit price = weight x rate per gram + making charge
+ * where the making charge is either per gram (x weight) or flat per piece.
+ * Other products use their fixed `price`. A product variant may override the
+ * weight and adds its `priceAdjustment` to either price. The result includes a `pricing`
+ * snapshot that is stored on the order item.
+ */
+
+const MetalRate = require('../models/MetalRate');
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Error carrying the HTTP status to answer with (like authProvider's authError)
+function pricingError(message, status = 422) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Weight of a product, or of the ordered variant when it has its own
+const effectiveWeight = (product, variant = null) => (
+  variant && variant.weight !== null && variant.weight !== undefined ? Number(variant.weight) : Number(product.weight)
+);
+
+const isWeightPriced = (product, variant = null) => Boolean(product.metal) && effectiveWeight(product, variant) > 0;
+
+const rateLabel = (metal, karat) => (karat ? `${metal} ${karat}K` : metal);
+
+/**
+ * Compute the unit price of a product.
+ *
+ * @param {object} product - Product document
+ * @param {{ variant?: object, at?: Date, rateCache?: Map }} [options] - ordered
+ *   variant, pricing time, and a cache shared across the items of one order so
+ *   they all use the same rates
+ * @returns {Promise<{ price: number, pricing: object }>}
+ * @throws {Error} with status 422 when no metal rate applies
+ */
+async function priceProduct(product, { variant = null, at = new Date(), rateCache = new Map() } = {}) {
+  const priceAdjustment = roundMoney(variant ? variant.priceAdjustment : 0);
+  if (!isWeightPriced(product, variant)) {
+    return { price: roundMoney(Math.max(0, (Number(product.price) || 0) + priceAdjustment)), pricing: { method: 'fixed', priceAdjustment } };
+  }
+
+  const metal = product.metal;
+  const karat = product.karat || null;
+  const key = `${metal}:${karat || ''}`;
+  if (!rateCache.has(key)) {
+    rateCache.set(key, await MetalRate.findEffective(metal, karat, at));
+  }
+  const rate = rateCache.get(key);
+  if (!rate) {
+    throw pricingError(`No ${rateLabel(metal, karat)} rate is set, "${product.name}" can't be priced`);
+  }
+
+  const weight = effectiveWeight(product, variant);
+  const makingChargeType = product.makingChargeType || 'none';
+  const makingCharge = Number(product.makingCharge) || 0;
+
+  const metalValue = roundMoney(weight * rate.pricePerGram);
+  let makingValue = 0;
+  if (makingChargeType === 'per_gram') makingValue = roundMoney(weight * makingCharge);
+  if (makingChargeType === 'flat') makingValue = roundMoney(makingCharge);
+
+  return {
+    price: roundMoney(Math.max(0, metalValue + makingValue + priceAdjustment)),
+    pricing: {
+      method: 'weight',
+      metal,
+      karat,
+      rateId: rate._id,
+      ratePerGram: rate.pricePerGram,
+      makingChargeType,
+      makingCharge,
+      metalValue,
+      makingValue,
+      priceAdjustment
+    }
+  };
+}
+
+/**
+ * Validate the pricing fields of a product payload (only the fields present are checked).
+ *
+ * @param {object} body - request body
+ * @returns {string|null} error message, or null when valid
+ */
+function validateProductPricing({ metal, karat, makingChargeType, makingCharge }) {
+  if (metal !== undefined && metal !== null && metal !== '' && !MetalRate.METALS.includes(String(metal).toLowerCase())) {
+    return `metal must be one of: ${MetalRate.METALS.join(', ')}`;
+  }
+  if (karat !== undefined && karat !== null && karat !== '' && !(Number(karat) >= 1 && Number(karat) <= 24)) {
+    return 'karat must be between 1 and 24';
+  }
+  if (makingChargeType !== undefined && !['none', 'per_gram', 'flat'].includes(makingChargeType)) {
+    return 'makingChargeType must be one of: none, per_gram, flat';
+  }
+  if (makingCharge !== undefined && !(Number(makingCharge) >= 0)) {
+    return 'makingCharge must be a positive number';
+  }
+  return null;
+}
+
+/**
+ * Copy the pricing fields present in a (validated) payload onto a product.
+ *
+ * @param {object} product - Product document
+ * @param {object} body - request body
+ */
+function applyProductPricing(product, { metal, karat, makingChargeType, makingCharge }) {
+  if (metal !== undefined) product.metal = metal ? String(metal).toLowerCase() : null;
+  if (karat !== undefined) product.karat = karat ? Number(karat) : null;
+  if (makingChargeType !== undefined) product.makingChargeType = makingChargeType;
+  if (makingCharge !== undefined) product.makingCharge = Number(makingCharge) || 0;
+}
+
+/**
+ * Total of priced order items.
+ *
+ * @param {Array<{ price: number, quantity: number }>} items
+ * @returns {number}
+ */
+const orderTotal = (items) => roundMoney(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+module.exports = {
+  effectiveWeight,
+  isWeightPriced,
+  priceProduct,
+  validateProductPricing,
+  applyProductPricing,
+  orderTotal,
+  roundMoney
+};
@@ -0,0 +1,221 @@
+/**
+ * Product variants: the orderable size x height x clasp combinations of a product.
+ *
+ * A product without variants keeps the legacy behaviour (free size/height/clasp
+ * on order items, checked against availableSizes/availableHeights when set).
+ * Once a product has variants, every order item must match one of its
+ * available variants, which gives the item its SKU, weight and price adjustment.
+ */
+
+const mongoose = require('mongoose');
+const SizePreset = require('../models/SizePreset');
+const ClaspImage = require('../models/ClaspImage');
+
+// Options are compared trimmed and case-insensitively; '' means "not applicable"
+const normalizeOption = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text ? text : null;
+};
+
+const sameOption = (a, b) => {
+  const left = normalizeOption(a);
+  const right = normalizeOption(b);
+  return left === right || (left !== null && right !== null && left.toLowerCase() === right.toLowerCase());
+};
+
+const variantKey = ({ size, height, clasp }) => [size, height, clasp]
+  .map(option => (normalizeOption(option) || '').toLowerCase())
+  .join('|');
+
+// Human readable combination, e.g. "size 18 / height 5 / clasp FRN"
+const describeOptions = ({ size, height, clasp }) => [
+  normalizeOption(size) && `size ${normalizeOption(size)}`,
+  normalizeOption(height) && `height ${normalizeOption(height)}`,
+  normalizeOption(clasp) && `clasp ${normalizeOption(clasp)}`
+].filter(Boolean).join(' / ') || 'the standard version';
+
+// e.g. { size: '18', height: '5', clasp: 'MO_PAVE' } -> 'S18-H5-MOPAVE'
+const defaultSkuSuffix = ({ size, height, clasp }) => {
+  const clean = (value) => String(value).toUpperCase().replace(/[^A-Z0-9.]/g, '').replace(/\./g, '_');
+  const parts = [];
+  if (normalizeOption(size)) parts.push(`S${clean(normalizeOption(size))}`);
+  if (normalizeOption(height)) parts.push(`H${clean(normalizeOption(height))}`);
+  if (normalizeOption(clasp)) parts.push(clean(normalizeOption(clasp)));
+  return parts.join('-') || 'STD';
+};
+
+/**
+ * Validate and clean a full list of variants (as sent to PUT /api/products/:id/variants).
+ * Existing variants keep their _id so orders referencing them stay linked.
+ *
+ * @param {Array<object>} list
+ * @returns {{ variants?: object[], error?: string }}
+ */
+function validateVariants(list) {
+  if (!Array.isArray(list)) return { error: 'variants must be an array' };
+
+  const variants = [];
+  const keys = new Set();
+  const suffixes = new Set();
+  for (const [index, entry] of list.entries()) {
+    if (!entry || typeof entry !== 'object') return { error: `variants[${index}] must be an object` };
+
+    const variant = {
+      size: normalizeOption(entry.size),
+      height: normalizeOption(entry.height),
+      clasp: normalizeOption(entry.clasp)
+    };
+    if (entry._id && mongoose.Types.ObjectId.isValid(entry._id)) variant._id = entry._id;
+
+    variant.skuSuffix = normalizeOption(entry.skuSuffix)
+      ? normalizeOption(entry.skuSuffix).toUpperCase()
+      : defaultSkuSuffix(variant);
+
+    if (entry.weight === undefined || entry.weight === null || entry.weight === '') {
+      variant.weight = null;
+    } else if (Number(entry.weight) >= 0) {
+      variant.weight = Number(entry.weight);
+    } else {
+      return { error: `variants[${index}].weight must be a positive number` };
+    }
+
+    if (entry.priceAdjustment !== undefined && !Number.isFinite(Number(entry.priceAdjustment))) {
+      return { error: `variants[${index}].priceAdjustment must be a number` };
+    }
+    variant.priceAdjustment = Number(entry.priceAdjustment) || 0;
+    variant.isAvailable = entry.isAvailable === undefined ? true : Boolean(entry.isAvailable);
+
+    const key = variantKey(variant);
+    if (keys.has(key)) return { error: `Duplicate variant for ${describeOptions(variant)}` };
+    if (suffixes.has(variant.skuSuffix)) return { error: `Duplicate SKU suffix ${variant.skuSuffix}` };
+    keys.add(key);
+    suffixes.add(variant.skuSuffix);
+    variants.push(variant);
+  }
+  return { variants };
+}
+
+/**
+ * Options to seed variants from: the product's own sizes/heights, falling back
+ * to the SizePreset of its type, and the requested clasp types.
+ *
+ * @param {object} product - Product document
+ * @param {{ sizes?: string[], heights?: string[], clasps?: string[]|'all' }} [options]
+ *   explicit lists; clasps defaults to the product's clasp, 'all' takes every ClaspImage type
+ * @returns {Promise<{ sizes: string[], heights: string[], clasps: string[], error?: string }>}
+ */
+async function seedOptions(product, { sizes, heights, clasps } = {}) {
+  const preset = await SizePreset.findOne({ type: String(product.type || '').toLowerCase() }).lean();
+  const pick = (explicit, own, fromPreset) => {
+    if (Array.isArray(explicit)) return explicit;
+    if (own && own.length) return own;
+    return fromPreset || [];
+  };
+
+  const claspTypes = (await ClaspImage.find({}).select('claspType').lean()).map(c => c.claspType);
+  let claspList;
+  if (clasps === 'all') {
+    claspList = claspTypes;
+  } else if (Array.isArray(clasps)) {
+    const unknown = clasps.filter(c => !claspTypes.some(type => sameOption(type, c)));
+    if (unknown.length) {
+      return { sizes: [], heights: [], clasps: [], error: `Unknown clasp types: ${unknown.join(', ')}` };
+    }
+    claspList = clasps;
+  } else {
+    claspList = product.clasp ? [product.clasp] : [];
+  }
+
+  const unique = (values) => [...new Map(values
+    .map(normalizeOption)
+    .filter(Boolean)
+    .map(value => [value.toLowerCase(), value])).values()];
+
+  return {
+    sizes: unique(pick(sizes, product.availableSizes, preset && preset.availableSizes)),
+    heights: unique(pick(heights, product.availableHeights, preset && preset.availableHeights)),
+    clasps: unique(claspList)
+  };
+}
+
+/**
+ * Every size x height x clasp combination of the options that the product
+ * doesn't have yet (an empty option list means "not applicable").
+ *
+ * @param {object} product - Product document
+ * @param {{ sizes: string[], heights: string[], clasps: string[] }} options
+ * @returns {object[]} new variants, available, with the product weight and no adjustment
+ */
+function missingVariants(product, { sizes, heights, clasps }) {
+  const existing = new Set((product.variants || []).map(variantKey));
+  const suffixes = new Set((product.variants || []).map(v => v.skuSuffix));
+  const added = [];
+  for (const size of sizes.length ? sizes : [null]) {
+    for (const height of heights.length ? heights : [null]) {
+      for (const clasp of clasps.length ? clasps : [null]) {
+        const variant = { size, height, clasp, weight: null, priceAdjustment: 0, isAvailable: true };
+        const key = variantKey(variant);
+        if (existing.has(key)) continue;
+
+        let skuSuffix = defaultSkuSuffix(variant);
+        for (let n = 2; suffixes.has(skuSuffix); n += 1) skuSuffix = `${defaultSkuSuffix(variant)}-${n}`;
+        variant.skuSuffix = skuSuffix;
+
+        existing.add(key);
+        suffixes.add(skuSuffix);
+        added.push(variant);
+      }
+    }
+  }
+  return added;
+}
+
+/**
+ * Find the variant an order item asks for, by variantId or by its options.
+ *
+ * @param {object} product - Product document
+ * @param {{ variantId?: string, size?: string, height?: string, clasp?: string }} item
+ * @returns {{ variant: object|null, error?: string }} error when the product
+ *   doesn't offer (or no longer sells) the requested combination
+ */
+function resolveItemVariant(product, item) {
+  const variants = product.variants || [];
+
+  if (!variants.length) {
+    if (item.variantId) return { variant: null, error: `${product.name} has no variants` };
+    const size = normalizeOption(item.size);
+    if (size && product.availableSizes && product.availableSizes.length
+      && !product.availableSizes.some(s => sameOption(s, size))) {
+      return { variant: null, error: `${product.name} is not offered in size ${size}` };
+    }
+    const height = normalizeOption(item.height);
+    if (height && product.availableHeights && product.availableHeights.length
+      && !product.availableHeights.some(h => sameOption(h, height))) {
+      return { variant: null, error: `${product.name} is not offered in height ${height}` };
+    }
+    return { variant: null };
+  }
+
+  const variant = item.variantId
+    ? variants.find(v => String(v._id) === String(item.variantId))
+    : variants.find(v => sameOption(v.size, item.size) && sameOption(v.height, item.height) && sameOption(v.clasp, item.clasp));
+
+  if (!variant) {
+    return { variant: null, error: `${product.name} is not offered in ${item.variantId ? 'this variant' : describeOptions(item)}` };
+  }
+  if (!variant.isAvailable) {
+    return { variant: null, error: `${product.name} in ${describeOptions(variant)} is not available` };
+  }
+  return { variant };
+}
+
+module.exports = {
+  normalizeOption,
+  describeOptions,
+  defaultSkuSuffix,
+  validateVariants,
+  seedOptions,
+  missingVariants,
+  resolveItemVariant
+};